@@ -0,0 +1,83 @@
+const path = require("path");
+const { testTitle } = require('./graph');
+const { findRootHooks, createBlockCollector, buildTestContexts } = require('./suites');
+const { createImportTracker } = require('./helpers');
+
+/**
+ * Works out which tests may be affected by changes to the given files, given an object mapping filename to
+ * findCyStuff() output (with "added", "tests", "hooks" and "helpers", all with "cyMethodsUsed" and "otherFuncCalls",
+ * and "moduleScope").
+ *
+ * A test is affected if:
+ *  - it is in a changed file, or in a file that imports or requires a changed file (directly or via other files), e.g.
+ *    a page object module
+ *  - it, or a hook that applies to it, calls a command or helper function (directly or via other commands and helpers)
+ *    that is defined in a changed file
+ *
+ * Everything is affected if a changed file has root level hooks but no tests (e.g. support files with global hooks),
+ * if any such global hook calls an affected command or helper, or if a changed file is one we should have parsed but
+ * could not (e.g. deleted, or has syntax errors) since we cannot tell what it used to define.
+ *
+ * changedFilenames should be absolute paths. Returns:
+ *  - all: true if everything is affected
+ *  - reason?: why everything is affected
+ *  - commands: Array of names of affected commands
+ *  - tests: Array of { filename, title, test } for affected tests, where test is the TestObj
+ *  - specs: Array of filenames that have affected tests
+ */
+function findAffectedTests(results, changedFilenames, { isScannedFile = () => false } = {}) {
+  const changed = new Set(changedFilenames);
+  const isChanged = (filename) => changed.has(path.resolve(filename));
+  const importedFiles = createImportTracker(results);
+  const collectBlocks = createBlockCollector(results);
+  const callsAffected = (blocks) => collectBlocks(blocks).some((block) => isChanged(block.filename));
+
+  const affectedCommands = new Set();
+  for (const [filename, result] of Object.entries(results)) {
+    (result.added || []).filter((cmd) => callsAffected([{ filename, ...cmd }])).forEach((cmd) => {
+      affectedCommands.add(cmd.name);
+    });
+  }
+
+  let reason;
+  for (const filename of changedFilenames) {
+    const key = Object.keys(results).find((f) => path.resolve(f) === filename);
+    if (key === undefined && isScannedFile(filename)) {
+      reason = `${filename} was changed but not found (deleted?)`;
+    } else if (key !== undefined && results[key].errors.some((e) => e.fatal)) {
+      reason = `${filename} was changed but could not be parsed`;
+    }
+  }
+
+  for (const [filename, result] of Object.entries(results)) {
+    if ((result.tests || []).length) {
+      continue;
+    }
+    const globalHooks = findRootHooks(result).map((hook) => ({ filename, ...hook }));
+    if (globalHooks.length && isChanged(filename)) {
+      reason = reason || `${filename} has global hooks and was changed`;
+    } else if (globalHooks.length && callsAffected(globalHooks)) {
+      reason = reason || `${filename} has global hooks that use affected commands or helpers`;
+    }
+  }
+
+  const tests = buildTestContexts(results)
+    .filter(({ filename, blocks }) => {
+      return reason
+        || Array.from(importedFiles(filename)).some(isChanged)
+        || blocks.some((block) => isChanged(block.filename));
+    })
+    .map(({ filename, test }) => ({ filename, title: testTitle(test), test }));
+
+  return {
+    all: Boolean(reason),
+    ...(reason && { reason }),
+    commands: Array.from(affectedCommands).sort(),
+    tests,
+    specs: Array.from(new Set(tests.map((t) => t.filename))).sort(),
+  };
+}
+
+module.exports = {
+  findAffectedTests,
+}
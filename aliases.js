@@ -0,0 +1,94 @@
+const { testTitle } = require('./graph');
+const { buildTestContexts } = require('./suites');
+
+// cy methods that accept "@alias" references, and the suffixes they accept after the alias name
+const ALIAS_REFERENCE_METHODS = new Set(["get", "wait"]);
+const ALIAS_SUFFIX_RE = /\.(all|request|response|\d+)$/;
+
+/**
+ * Checks that aliases referenced by each test (e.g. cy.wait("@getUser") or cy.get("@row")) are defined with .as(), and
+ * that aliases defined with .as() are used, given an object mapping filename to findCyStuff() output (with "added",
+ * "tests" and "hooks", all with "cyMethodsUsed") and an object mapping filename to its source.
+ *
+ * Each test is checked together with the hooks that apply to it (including global hooks in support files) and the
+ * custom commands they call, directly or via other commands. Aliases accessed as this.<alias> in any of those count as
+ * used. Only literal alias names can be checked.
+ *
+ * Returns:
+ *  - undefined: Array of { alias, filename, start, end, tests } for each reference to an alias that is not defined for
+ *               tests, where tests is an Array of { filename, title } of the tests it is not defined for
+ *  - unused: Array of { alias, filename, start, end } for each .as() call whose alias is not used by any test it
+ *            applies to
+ */
+function findAliasIssues(results, sources) {
+  const undefinedRefs = new Map();
+  const definitions = new Map();
+  const usedDefinitions = new Set();
+  const key = (obj) => `${obj.filename}:${obj.start}`;
+
+  buildTestContexts(results).forEach(({ filename, test, blocks }) => {
+    const defined = [];
+    const referenced = [];
+    const thisProperties = new Set();
+    blocks.forEach((block) => {
+      (block.cyMethodsUsed || []).forEach((used) => {
+        const location = { filename: block.filename, start: used.start, end: used.end };
+        findAliasDefinitions(used).forEach((alias) => defined.push({ alias, ...location }));
+        findAliasReferences(used).forEach((alias) => referenced.push({ alias, ...location }));
+      });
+      const text = (sources[block.filename] || "").slice(block.start, block.end);
+      Array.from(text.matchAll(/\bthis\.([A-Za-z_$][\w$]*)/g)).forEach((m) => thisProperties.add(m[1]));
+    });
+
+    const definedAliases = new Set(defined.map((d) => d.alias));
+    const referencedAliases = new Set(referenced.map((r) => r.alias));
+    referenced.filter((ref) => !definedAliases.has(ref.alias)).forEach((ref) => {
+      if (!undefinedRefs.has(key(ref))) {
+        undefinedRefs.set(key(ref), { ...ref, tests: [] });
+      }
+      const tests = undefinedRefs.get(key(ref)).tests;
+      if (!tests.some((t) => t.id === test.id)) {
+        tests.push({ filename, title: testTitle(test), id: test.id });
+      }
+    });
+    defined.forEach((def) => {
+      definitions.set(key(def), def);
+      if (referencedAliases.has(def.alias) || thisProperties.has(def.alias)) {
+        usedDefinitions.add(key(def));
+      }
+    });
+  });
+
+  return {
+    undefined: Array.from(undefinedRefs.values()).map(({ tests, ...ref }) => ({
+      ...ref,
+      tests: tests.map(({ filename, title }) => ({ filename, title })),
+    })),
+    unused: Array.from(definitions.entries()).filter(([k]) => !usedDefinitions.has(k)).map(([, def]) => def),
+  };
+}
+
+/**
+ * Returns Array of alias names defined by a CommandUseObj, i.e. the literal argument of .as("name")
+ */
+function findAliasDefinitions(used) {
+  const name = (used.literalArguments || {})[0];
+  return (used.name === "as" && used.chain.length && typeof name === "string") ? [name] : [];
+}
+
+/**
+ * Returns Array of alias names referenced by a CommandUseObj, e.g. cy.wait("@a"), cy.wait(["@a", "@b"]) or
+ * cy.get("@a.all")
+ */
+function findAliasReferences(used) {
+  if (!ALIAS_REFERENCE_METHODS.has(used.name)) {
+    return [];
+  }
+  return [].concat((used.literalArguments || {})[0] || [])
+    .filter((arg) => typeof arg === "string" && arg.startsWith("@"))
+    .map((arg) => arg.slice(1).replace(ALIAS_SUFFIX_RE, ""));
+}
+
+module.exports = {
+  findAliasIssues,
+}
@@ -0,0 +1,112 @@
+const path = require("path");
+const fs = require("fs");
+const { DEFAULT_TEST_FUNCTIONS, DEFAULT_DESCRIBE_FUNCTIONS, DEFAULT_HOOK_FUNCTIONS } = require('./parseUtils');
+
+// Searched for in this order, starting from the current dir and moving up to the root
+const CONFIG_FILENAMES = ["scryo.config.js", ".scryorc.json"];
+
+const DEFAULT_CONFIG = {
+  // files or dirs to parse if none are given on the command line
+  paths: [],
+  // globs (relative to each dir being searched) of files to parse. Defaults to all supported extensions.
+  include: null,
+  // globs (relative to each dir being searched) of files to skip
+  exclude: [],
+  // extensions to load, by name, path (relative to config file) or package name
+  extensions: [],
+  // options to pass to each extension, keyed by extension name
+  extensionOptions: {},
+  // names of functions that declare tests, e.g. "it". "it.skip" and "it.only" are included automatically.
+  testFunctions: DEFAULT_TEST_FUNCTIONS,
+  // names of functions that declare suites, e.g. "describe". .skip and .only are included automatically.
+  describeFunctions: DEFAULT_DESCRIBE_FUNCTIONS,
+  // names of functions that declare hooks
+  hookFunctions: DEFAULT_HOOK_FUNCTIONS,
+  // default option values per command, keyed by command name, e.g. { "undefined": { "allow": "realClick" } }
+  commands: {},
+  // lint rule severities, e.g. { "no-skipped-tests": "off", "no-unknown-command": ["error", { allow: ["realClick"] }] }
+  rules: {},
+};
+
+/**
+ * Returns path of the nearest config file, searching upwards from startDir. Returns null if there isn't one.
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const filename of CONFIG_FILENAMES) {
+      const candidate = path.join(dir, filename);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Loads and validates the config file at configPath (or the nearest one if not given), returning it merged with
+ * defaults. The returned config has an extra "configFile" with the path it was loaded from, or null if there was none.
+ *
+ * Paths in the config are resolved relative to the dir holding the config file.
+ */
+function loadConfig(configPath) {
+  const configFile = configPath ? path.resolve(configPath) : findConfigFile();
+  if (!configFile) {
+    return { ...DEFAULT_CONFIG, configFile: null };
+  }
+
+  let userConfig;
+  if (configFile.endsWith(".json")) {
+    userConfig = JSON.parse(fs.readFileSync(configFile, "utf8"));
+  } else {
+    userConfig = require(configFile);
+  }
+  validateConfig(userConfig, configFile);
+
+  const configDir = path.dirname(configFile);
+  const config = { ...DEFAULT_CONFIG, ...userConfig, configFile };
+  config.paths = config.paths.map((p) => path.relative(process.cwd(), path.resolve(configDir, p)) || ".");
+  config.extensions = config.extensions.map((spec) => {
+    return (spec.startsWith(".") || path.isAbsolute(spec)) ? path.resolve(configDir, spec) : spec;
+  });
+  return config;
+}
+
+function validateConfig(config, configFile) {
+  const fail = (message) => {
+    throw new Error(`Invalid config in ${configFile}: ${message}`);
+  };
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    fail("expecting an object");
+  }
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in DEFAULT_CONFIG)) {
+      fail(`unknown key "${key}"`);
+    }
+    if (["paths", "exclude", "extensions", "testFunctions", "describeFunctions", "hookFunctions"].includes(key)) {
+      if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+        fail(`"${key}" should be an Array of strings`);
+      }
+    }
+    if (key === "include" && value !== null && !(Array.isArray(value) && value.every((v) => typeof v === "string"))) {
+      fail(`"include" should be an Array of strings`);
+    }
+    const isObject = typeof value === "object" && !Array.isArray(value);
+    if (["extensionOptions", "commands", "rules"].includes(key) && !isObject) {
+      fail(`"${key}" should be an object`);
+    }
+  }
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  DEFAULT_CONFIG,
+  findConfigFile,
+  loadConfig,
+}
@@ -0,0 +1,97 @@
+const { testTitle } = require('./graph');
+const { buildTestContexts } = require('./suites');
+
+// how a test reaches a command, from most to least direct
+const VIA_ORDER = ["direct", "hook", "transitive"];
+
+/**
+ * Works out which custom commands each test exercises, given an object mapping filename to findCyStuff() output (with
+ * "added", "tests", "hooks" and "helpers", all with "cyMethodsUsed" and "otherFuncCalls").
+ *
+ * This includes commands called by the test itself, by hooks that apply to the test (including global hooks declared
+ * outside of describe() in files without tests, e.g. support files), and by other commands or helper functions called
+ * by either.
+ *
+ * Returns:
+ *  - tests: Array of { filename, title, start, skip?, only?, commands } where commands is an Array of { name, via } and
+ *           via is "direct" if called by the test, "hook" if called by a hook, or "transitive" if called by another
+ *           command or a helper function. Sorted by command name.
+ *  - commands: Array of { name, tests, activeTests, skippedTests, onlySkipped? } for every custom command, sorted by
+ *              name, where tests is an Array of { filename, title, via, skip? }
+ */
+function buildCoverage(results) {
+  const commandNames = new Set(Object.values(results).flatMap((result) => (result.added || []).map((cmd) => cmd.name)));
+
+  const tests = buildTestContexts(results).map(({ filename, test, hooks, blocks }) => {
+    // blocks start with the test itself and the hooks that apply to it, followed by the commands and helpers they call
+    const via = new Map();
+    blocks.forEach((block, i) => {
+      const kind = i === 0 ? "direct" : (i <= hooks.length ? "hook" : "transitive");
+      (block.cyMethodsUsed || []).map((c) => c.name).filter((name) => commandNames.has(name)).forEach((name) => {
+        if (!via.has(name) || VIA_ORDER.indexOf(kind) < VIA_ORDER.indexOf(via.get(name))) {
+          via.set(name, kind);
+        }
+      });
+    });
+    return {
+      filename,
+      title: testTitle(test),
+      start: test.start,
+      ...(test.skip && { skip: true }),
+      ...(test.only && { only: true }),
+      commands: Array.from(via.keys()).sort().map((name) => ({ name, via: via.get(name) })),
+    };
+  });
+
+  const commands = Array.from(commandNames).sort().map((name) => {
+    const covering = tests.flatMap((test) => {
+      const found = test.commands.find((c) => c.name === name);
+      if (!found) {
+        return [];
+      }
+      return [{ filename: test.filename, title: test.title, via: found.via, ...(test.skip && { skip: true }) }];
+    });
+    const skippedTests = covering.filter((t) => t.skip).length;
+    return {
+      name,
+      tests: covering,
+      activeTests: covering.length - skippedTests,
+      skippedTests,
+      ...(skippedTests && skippedTests === covering.length && { onlySkipped: true }),
+    };
+  });
+
+  return { tests, commands };
+}
+
+/**
+ * Renders coverage as CSV, either with a row for each test/command pair (by = "test"), or a row for each command
+ * (by = "command").
+ */
+function renderCsv(coverage, by = "test") {
+  const rows = [];
+  if (by === "command") {
+    rows.push(["command", "tests", "activeTests", "skippedTests", "onlySkipped"]);
+    coverage.commands.forEach((cmd) => {
+      rows.push([cmd.name, cmd.tests.length, cmd.activeTests, cmd.skippedTests, Boolean(cmd.onlySkipped)]);
+    });
+  } else {
+    rows.push(["filename", "test", "skip", "only", "command", "via"]);
+    coverage.tests.forEach((test) => {
+      test.commands.forEach((cmd) => {
+        rows.push([test.filename, test.title, Boolean(test.skip), Boolean(test.only), cmd.name, cmd.via]);
+      });
+    });
+  }
+  return rows.map((row) => row.map(csvEscape).join(",")).join("\n") + "\n";
+}
+
+function csvEscape(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  buildCoverage,
+  renderCsv,
+}
@@ -0,0 +1,237 @@
+/**
+ * Given a command inventory (see buildCommandInventory) built with "cyMethodsUsed" and "otherFuncCalls", returns an
+ * Array of entries, sorted by command name, describing each custom command:
+ *  - name: command name
+ *  - definitions: Array of CommandAddObj (with "filename") where the command was added. Details below are taken from
+ *                 the first one.
+ *  - comment, params, prevSubject: as in CommandAddObj
+ *  - commandsUsed: Array of unique cy methods called by the implementation, each { name, custom } where custom is true
+ *                  if it is also a custom command
+ *  - usedBy: Array of names of custom commands that call this command
+ *  - funcCalls: Array of unique names of other functions called by the implementation
+ *  - usageCount: number of places this command is called
+ *  - examples: Array of up to maxExamples CommandUseObj (with "filename") showing where this command is called
+ */
+function buildCommandCatalogue(inventory, { maxExamples = 3 } = {}) {
+  const usedBy = new Map();
+  for (const [name, definitions] of inventory.added) {
+    for (const used of definitions[0].cyMethodsUsed || []) {
+      if (used.name !== name && inventory.added.has(used.name)) {
+        usedBy.set(used.name, (usedBy.get(used.name) || new Set()).add(name));
+      }
+    }
+  }
+
+  return Array.from(inventory.added.keys()).sort().map((name) => {
+    const definitions = inventory.added.get(name);
+    const def = definitions[0];
+    const usages = inventory.used.get(name) || [];
+
+    return {
+      name,
+      definitions,
+      comment: def.comment,
+      params: def.params || [],
+      prevSubject: def.prevSubject,
+      commandsUsed: unique((def.cyMethodsUsed || []).map((c) => c.name))
+        .map((n) => ({ name: n, custom: inventory.added.has(n) })),
+      usedBy: Array.from(usedBy.get(name) || []).sort(),
+      funcCalls: unique((def.otherFuncCalls || []).map((c) => c.name)),
+      usageCount: usages.length,
+      // prefer examples with literal arguments since they say more about how the command is used
+      examples: [...usages]
+        .sort((a, b) => Number(Boolean(b.literalArguments)) - Number(Boolean(a.literalArguments)))
+        .slice(0, maxExamples),
+    };
+  });
+}
+
+/**
+ * Renders catalogue as a single Markdown document. formatLocation should return a String given an object with
+ * "filename" and "start".
+ */
+function renderMarkdown(catalogue, formatLocation) {
+  const lines = [
+    "# Cypress Commands",
+    "",
+    `_Generated by scryo. ${catalogue.length} custom command(s)._`,
+    "",
+    "| Command | Description | Usages |",
+    "| --- | --- | --- |",
+    ...catalogue.map((entry) => {
+      const description = summary(entry.comment).replace(/\|/g, "\\|");
+      return `| [${entry.name}](#${anchor(entry.name)}) | ${description} | ${entry.usageCount} |`;
+    }),
+    "",
+  ];
+
+  const link = (name) => `[${name}](#${anchor(name)})`;
+
+  catalogue.forEach((entry) => {
+    lines.push(`<a id="${anchor(entry.name)}"></a>`);
+    lines.push(`## ${entry.name}`);
+    lines.push("");
+    lines.push(`\`cy.${renderSignature(entry)}\``);
+    lines.push("");
+    entry.definitions.forEach((def) => lines.push(`Defined at \`${formatLocation(def)}\`  `));
+    lines.push("");
+    if (entry.comment) {
+      lines.push(entry.comment);
+      lines.push("");
+    }
+    if (entry.prevSubject) {
+      lines.push(`**Previous subject:** \`${JSON.stringify(entry.prevSubject)}\`  `);
+    }
+    if (entry.commandsUsed.length) {
+      const commands = entry.commandsUsed.map((c) => c.custom ? link(c.name) : `\`${c.name}\``);
+      lines.push(`**Uses commands:** ${commands.join(", ")}  `);
+    }
+    if (entry.usedBy.length) {
+      lines.push(`**Used by commands:** ${entry.usedBy.map(link).join(", ")}  `);
+    }
+    if (entry.funcCalls.length) {
+      lines.push(`**Calls functions:** ${entry.funcCalls.map((f) => `\`${f}\``).join(", ")}  `);
+    }
+    lines.push(`**Usages:** ${entry.usageCount}`);
+    lines.push("");
+    if (entry.examples.length) {
+      lines.push("**Examples:**");
+      lines.push("```javascript");
+      entry.examples.forEach((used) => {
+        lines.push(`${renderCall(entry.name, used)}  // ${formatLocation(used)}`);
+      });
+      lines.push("```");
+      lines.push("");
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Renders catalogue as a static HTML site, returning an object mapping relative filename to content. There will be an
+ * "index.html" listing all commands, plus a page for each command. formatLocation is as per renderMarkdown.
+ */
+function renderHtml(catalogue, formatLocation) {
+  const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 60em; margin: 2em auto; line-height: 1.5; }
+  code, pre { background: #f4f4f4; padding: 0.1em 0.3em; }
+  pre { padding: 0.5em; overflow-x: auto; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid #ddd; padding: 0.3em 0.6em; text-align: left; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+  const link = (name) => `<a href="${pageFilename(name)}"><code>${escapeHtml(name)}</code></a>`;
+
+  const files = {};
+  files["index.html"] = page("Cypress Commands", `<h1>Cypress Commands</h1>
+<p><em>Generated by scryo. ${catalogue.length} custom command(s).</em></p>
+<table>
+<tr><th>Command</th><th>Description</th><th>Usages</th></tr>
+${catalogue.map((entry) => {
+  const description = escapeHtml(summary(entry.comment));
+  return `<tr><td>${link(entry.name)}</td><td>${description}</td><td>${entry.usageCount}</td></tr>`;
+}).join("\n")}
+</table>`);
+
+  catalogue.forEach((entry) => {
+    const body = [
+      `<p><a href="index.html">&larr; All commands</a></p>`,
+      `<h1>${escapeHtml(entry.name)}</h1>`,
+      `<p><code>cy.${escapeHtml(renderSignature(entry))}</code></p>`,
+      ...entry.definitions.map((def) => `<p>Defined at <code>${escapeHtml(formatLocation(def))}</code></p>`),
+      ...(entry.comment ? [`<pre>${escapeHtml(entry.comment)}</pre>`] : []),
+      "<dl>",
+      ...(entry.prevSubject ? [
+        `<dt>Previous subject</dt><dd><code>${escapeHtml(JSON.stringify(entry.prevSubject))}</code></dd>`,
+      ] : []),
+      ...(entry.commandsUsed.length ? [
+        `<dt>Uses commands</dt><dd>${entry.commandsUsed.map((c) => {
+          return c.custom ? link(c.name) : `<code>${escapeHtml(c.name)}</code>`;
+        }).join(", ")}</dd>`,
+      ] : []),
+      ...(entry.usedBy.length ? [`<dt>Used by commands</dt><dd>${entry.usedBy.map(link).join(", ")}</dd>`] : []),
+      ...(entry.funcCalls.length ? [
+        `<dt>Calls functions</dt><dd>${entry.funcCalls.map((f) => `<code>${escapeHtml(f)}</code>`).join(", ")}</dd>`,
+      ] : []),
+      `<dt>Usages</dt><dd>${entry.usageCount}</dd>`,
+      "</dl>",
+      ...(entry.examples.length ? [
+        "<h2>Examples</h2>",
+        `<pre>${entry.examples.map((used) => {
+          return escapeHtml(`${renderCall(entry.name, used)}  // ${formatLocation(used)}`);
+        }).join("\n")}</pre>`,
+      ] : []),
+    ];
+    files[pageFilename(entry.name)] = page(`cy.${entry.name}`, body.join("\n"));
+  });
+
+  return files;
+}
+
+function renderSignature(entry) {
+  const params = entry.params.slice(entry.prevSubject ? 1 : 0).map((param, i) => {
+    const name = param.name || `arg${i}`;
+    if (param.rest) {
+      return `...${name}`;
+    } else if ("default" in param) {
+      return `${name} = ${JSON.stringify(param.default)}`;
+    } else {
+      return `${name}${param.optional ? "?" : ""}`;
+    }
+  });
+  return `${entry.name}(${params.join(", ")})`;
+}
+
+/**
+ * Renders a CommandUseObj as code, e.g. cy.a().login("bob", …) using literal argument values where known.
+ */
+function renderCall(name, used) {
+  const args = used.arguments.map((arg, i) => {
+    if (used.literalArguments && i in used.literalArguments) {
+      return JSON.stringify(used.literalArguments[i]);
+    }
+    return ["ArrowFunctionExpression", "FunctionExpression"].includes(arg.type) ? "() => {…}" : "…";
+  });
+  return `cy.${used.chain.map((s) => s + "().").join("")}${name}(${args.join(", ")})`;
+}
+
+function summary(comment) {
+  return comment ? comment.split("\n")[0] : "";
+}
+
+function anchor(name) {
+  return `cmd-${name}`;
+}
+
+function pageFilename(name) {
+  return `${encodeURIComponent(name)}.html`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function unique(items) {
+  return Array.from(new Set(items));
+}
+
+module.exports = {
+  buildCommandCatalogue,
+  renderMarkdown,
+  renderHtml,
+}
@@ -0,0 +1,87 @@
+const path = require("path");
+
+/**
+ * Extensions bundled with scryo, which can be loaded by name instead of by path
+ */
+const BUILTIN_EXTENSIONS = {
+  qwil: "./qwilExtension",
+};
+
+/**
+ * Loads an extension given its name (for bundled extensions), module path (relative to cwd) or package name.
+ * extensionOptions maps extension name to options for that extension, passed to it in context.options.
+ *
+ * An extension is a module that exports an object with:
+ *  - name: String, used in error messages
+ *  - parseFile?: function (ast, helpers, context) called for every parsed file. ast may be null if the file could not
+ *                be parsed. helpers has findInnerCypressCalls and findInnerFuncCalls, and context has the filename and
+ *                the options given when loading the extension.
+ *  - project?: function (results, helpers, context) called once all files are parsed, where results maps each
+ *              filename to its output (including output from parseFile of all extensions).
+ *
+ * parseFile should return an object whose keys are added to the output for that file. project should return an object
+ * mapping filename to such an object. In both cases, "errors" (Array of DeferredErrorObj) are appended to the existing
+ * errors for that file rather than replacing them.
+ */
+function loadExtension(spec, cwd = process.cwd(), extensionOptions = {}) {
+  let modulePath;
+  if (BUILTIN_EXTENSIONS[spec]) {
+    modulePath = BUILTIN_EXTENSIONS[spec];
+  } else if (spec.startsWith(".") || path.isAbsolute(spec)) {
+    modulePath = path.resolve(cwd, spec);
+  } else {
+    modulePath = require.resolve(spec, { paths: [cwd] });
+  }
+
+  const extension = require(modulePath);
+  if (!extension || typeof extension.name !== "string") {
+    throw new Error(`Extension "${spec}" does not export a "name"`);
+  }
+  if (typeof extension.parseFile !== "function" && typeof extension.project !== "function") {
+    throw new Error(`Extension "${spec}" must export a "parseFile" and/or "project" function`);
+  }
+  return { ...extension, options: extensionOptions[extension.name] || {} };
+}
+
+/**
+ * Runs parseFile of each extension on the given AST, merging what they return into output (i.e. findCyStuff() output
+ * for the file) in place.
+ */
+function runFileExtensions(extensions, ast, helpers, context, output) {
+  extensions.filter((ext) => ext.parseFile).forEach((ext) => {
+    mergeExtensionOutput(ext, ext.parseFile(ast, helpers, { ...context, options: ext.options }) || {}, output);
+  });
+}
+
+/**
+ * Runs project of each extension, merging what they return into results (mapping filename to output) in place.
+ */
+function runProjectExtensions(extensions, results, helpers) {
+  extensions.filter((ext) => ext.project).forEach((ext) => {
+    const outputByFile = ext.project(results, helpers, { options: ext.options }) || {};
+    for (const [filename, extOutput] of Object.entries(outputByFile)) {
+      if (!results[filename]) {
+        throw new Error(`Extension "${ext.name}" returned output for unknown file "${filename}"`);
+      }
+      mergeExtensionOutput(ext, extOutput, results[filename]);
+    }
+  });
+}
+
+function mergeExtensionOutput(ext, extOutput, output) {
+  for (const [key, value] of Object.entries(extOutput)) {
+    if (key === "errors") {
+      value.forEach((e) => output.errors.push(e));
+    } else if (key in output) {
+      throw new Error(`Extension "${ext.name}" tried to overwrite existing output key "${key}"`);
+    } else {
+      output[key] = value;
+    }
+  }
+}
+
+module.exports = {
+  loadExtension,
+  runFileExtensions,
+  runProjectExtensions,
+}
@@ -0,0 +1,104 @@
+const path = require("path");
+const fs = require("fs");
+const glob = require("glob");
+
+// Extensions Cypress tries, in order, when a fixture is referenced without one
+const FIXTURE_EXTENSIONS = [".json", ".js", ".coffee", ".html", ".txt", ".csv", ".png", ".jpg", ".jpeg", ".gif", ".tif",
+  ".tiff", ".zip"];
+
+/**
+ * Returns Array of { kind, path, filename, start, end } for every reference to a fixture or file in the given object
+ * mapping filename to findCyStuff() output (with "used"). kind is:
+ *  - "fixture": for cy.fixture(path), and { fixture: path } anywhere in the arguments of any cy call, e.g.
+ *               cy.intercept("/api", { fixture: path }). Also "fixture:path" responses of legacy cy.route().
+ *  - "readFile": for cy.readFile(path), where path is relative to the project root
+ *
+ * path is null if it could not be statically evaluated.
+ */
+function findFixtureReferences(results) {
+  const refs = [];
+  for (const [filename, result] of Object.entries(results)) {
+    (result.used || []).forEach((used) => {
+      const location = { filename, start: used.start, end: used.end };
+      const args = used.literalArguments || {};
+      if (!used.chain.length && (used.name === "fixture" || used.name === "readFile")) {
+        const p = args[0];
+        refs.push({ kind: used.name, path: typeof p === "string" ? p : null, ...location });
+        return;
+      }
+      Object.values(args).forEach((value) => {
+        findNestedFixtures(value).forEach((p) => refs.push({ kind: "fixture", path: p, ...location }));
+      });
+      if (used.name === "route") {
+        Object.values(args)
+          .filter((value) => typeof value === "string" && /^(fixture|fx):/.test(value))
+          .forEach((value) => refs.push({ kind: "fixture", path: value.replace(/^(fixture|fx):/, ""), ...location }));
+      }
+    });
+  }
+  return refs;
+}
+
+function findNestedFixtures(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(findNestedFixtures);
+  } else if (value && typeof value === "object" && !(value instanceof RegExp)) {
+    return Object.entries(value).flatMap(([key, v]) => {
+      return (key === "fixture" && typeof v === "string") ? [v] : findNestedFixtures(v);
+    });
+  }
+  return [];
+}
+
+/**
+ * Returns absolute path of the file a fixture reference resolves to, the way Cypress does it, or null if there isn't
+ * one. Fixtures given without an extension are looked for with each of FIXTURE_EXTENSIONS in turn.
+ */
+function resolveFixture(fixturesDir, fixturePath) {
+  const base = path.resolve(fixturesDir, fixturePath);
+  const candidates = [base].concat(path.extname(base) ? [] : FIXTURE_EXTENSIONS.map((ext) => base + ext));
+  return candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Checks fixture references found in results (see findFixtureReferences) against files in fixturesDir. readFile paths
+ * are resolved relative to projectRoot. Returns:
+ *  - missing: Array of references that do not resolve to a file
+ *  - unreferenced: Array of paths (relative to fixturesDir) of files in fixturesDir that are never referenced
+ *  - dynamic: Array of references whose path could not be statically evaluated. If there are any, some of the
+ *             unreferenced files may actually be used.
+ */
+function checkFixtures(results, { fixturesDir, projectRoot = process.cwd() }) {
+  const refs = findFixtureReferences(results);
+  const referencedFiles = new Set();
+  const missing = [];
+  const dynamic = [];
+
+  refs.forEach((ref) => {
+    if (ref.path === null) {
+      dynamic.push(ref);
+      return;
+    }
+    const resolved = ref.kind === "readFile"
+      ? [path.resolve(projectRoot, ref.path)].find((p) => fs.existsSync(p)) || null
+      : resolveFixture(fixturesDir, ref.path);
+    if (resolved) {
+      referencedFiles.add(resolved);
+    } else {
+      missing.push(ref);
+    }
+  });
+
+  const unreferenced = glob.sync("**/*", { cwd: fixturesDir, nodir: true, dot: false })
+    .filter((f) => !referencedFiles.has(path.resolve(fixturesDir, f)))
+    .sort();
+
+  return { missing, unreferenced, dynamic };
+}
+
+module.exports = {
+  FIXTURE_EXTENSIONS,
+  findFixtureReferences,
+  resolveFixture,
+  checkFixtures,
+}
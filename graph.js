@@ -0,0 +1,261 @@
+const { CYPRESS_BUILTIN_COMMANDS } = require('./inventory');
+const { createHelperResolver } = require('./helpers');
+
+/**
+ * Builds a graph of which commands call which other commands, given an object mapping filename to findCyStuff() output
+ * (with "added" including "cyMethodsUsed", and "tests" if tests are to be included). If "otherFuncCalls" and "helpers"
+ * were included, commands used by helper functions count as used by the commands and tests that call them, directly or
+ * via other helpers.
+ *
+ * Returns { nodes, adjacency } where:
+ *  - nodes: Map of node id to { id, type, label, filename?, start? }. type is "command" for custom commands, "test" for
+ *           tests, and "builtin" or "undefined" for cy methods that are not custom commands.
+ *  - adjacency: Map of node id to Set of node ids it calls
+ *
+ * Node ids are the command name for commands, and "test:<id>" for tests (see TestObj), so tests with the same title
+ * each get their own node. Edges to cy methods that are not custom commands are only included if includeBuiltins is
+ * set.
+ */
+function buildCommandGraph(results, { includeTests = false, includeBuiltins = false } = {}) {
+  const nodes = new Map();
+  const adjacency = new Map();
+
+  for (const [filename, result] of Object.entries(results)) {
+    (result.added || []).forEach((cmd) => {
+      if (!nodes.has(cmd.name)) {
+        nodes.set(cmd.name, { id: cmd.name, type: "command", label: cmd.name, filename, start: cmd.start });
+        adjacency.set(cmd.name, new Set());
+      }
+    });
+  }
+
+  const resolveHelper = createHelperResolver(results);
+  const usedViaHelpers = (filename, obj) => {
+    const used = (obj.cyMethodsUsed || []).slice();
+    const seen = new Set();
+    const stack = [{ filename, callerName: undefined, calls: obj.otherFuncCalls || [] }];
+    while (stack.length) {
+      const { filename: from, callerName, calls } = stack.pop();
+      calls.map((call) => resolveHelper(from, call.name, callerName)).filter(Boolean).forEach((helper) => {
+        if (!seen.has(`${helper.filename}:${helper.start}`)) {
+          seen.add(`${helper.filename}:${helper.start}`);
+          used.push(...(helper.cyMethodsUsed || []));
+          stack.push({ filename: helper.filename, callerName: helper.name, calls: helper.otherFuncCalls || [] });
+        }
+      });
+    }
+    return used;
+  };
+
+  const addEdges = (fromId, cyMethodsUsed) => {
+    (cyMethodsUsed || []).forEach((used) => {
+      if (!nodes.has(used.name)) {
+        if (!includeBuiltins) {
+          return;
+        }
+        const type = CYPRESS_BUILTIN_COMMANDS.has(used.name) ? "builtin" : "undefined";
+        nodes.set(used.name, { id: used.name, type, label: used.name });
+        adjacency.set(used.name, new Set());
+      }
+      adjacency.get(fromId).add(used.name);
+    });
+  };
+
+  for (const [filename, result] of Object.entries(results)) {
+    (result.added || []).forEach((cmd) => addEdges(cmd.name, usedViaHelpers(filename, cmd)));
+    if (includeTests) {
+      (result.tests || []).forEach((test) => {
+        const label = testTitle(test);
+        const id = `test:${test.id}`;
+        if (!nodes.has(id)) {
+          nodes.set(id, { id, type: "test", label, filename, start: test.start });
+          adjacency.set(id, new Set());
+        }
+        addEdges(id, usedViaHelpers(filename, test));
+      });
+    }
+  }
+
+  return { nodes, adjacency };
+}
+
+/**
+ * Returns full title of a TestObj, i.e. titles of enclosing describe() and the test joined with " > "
+ */
+function testTitle(test) {
+  return test.scope.map((s) => s.name).join(" > ");
+}
+
+/**
+ * Returns a new graph with only the nodes reachable from the given root node ids (including the roots)
+ */
+function subgraphFrom(graph, rootIds) {
+  const reachable = new Set();
+  const stack = [...rootIds];
+  while (stack.length) {
+    const id = stack.pop();
+    if (!reachable.has(id)) {
+      reachable.add(id);
+      graph.adjacency.get(id).forEach((next) => stack.push(next));
+    }
+  }
+
+  return {
+    nodes: new Map(Array.from(graph.nodes).filter(([id]) => reachable.has(id))),
+    adjacency: new Map(Array.from(graph.adjacency).filter(([id]) => reachable.has(id))),
+  };
+}
+
+/**
+ * Returns Array of cycles in the graph, where each cycle is an Array of node ids that (directly or indirectly) call
+ * each other. Commands that call themselves are included as single-node cycles.
+ *
+ * Uses Tarjan's strongly connected components algorithm.
+ */
+function findCycles(graph) {
+  const index = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  const strongConnect = (id) => {
+    index.set(id, counter);
+    lowlink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    graph.adjacency.get(id).forEach((next) => {
+      if (!index.has(next)) {
+        strongConnect(next);
+        lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(next)));
+      } else if (onStack.has(next)) {
+        lowlink.set(id, Math.min(lowlink.get(id), index.get(next)));
+      }
+    });
+
+    if (lowlink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || graph.adjacency.get(id).has(id)) {
+        cycles.push(component.sort());
+      }
+    }
+  };
+
+  Array.from(graph.nodes.keys()).sort().forEach((id) => {
+    if (!index.has(id)) {
+      strongConnect(id);
+    }
+  });
+  return cycles;
+}
+
+/**
+ * Returns Set of "from->to" edge keys where both ends are in the same cycle
+ */
+function cycleEdges(graph, cycles) {
+  const edges = new Set();
+  cycles.forEach((cycle) => {
+    const members = new Set(cycle);
+    cycle.forEach((id) => {
+      graph.adjacency.get(id).forEach((next) => members.has(next) && edges.add(`${id}->${next}`));
+    });
+  });
+  return edges;
+}
+
+function renderDot(graph, cycles = []) {
+  const inCycle = new Set(cycles.flat());
+  const highlighted = cycleEdges(graph, cycles);
+  const quote = (s) => JSON.stringify(s);
+  const shapes = { command: "box", test: "ellipse", builtin: "plaintext", undefined: "octagon" };
+
+  const lines = ["digraph commands {", "  rankdir=LR;"];
+  sortedNodes(graph).forEach((node) => {
+    const attrs = [`label=${quote(node.label)}`, `shape=${shapes[node.type]}`];
+    if (inCycle.has(node.id)) {
+      attrs.push("color=red");
+    }
+    lines.push(`  ${quote(node.id)} [${attrs.join(", ")}];`);
+  });
+  sortedEdges(graph).forEach(([from, to]) => {
+    const attrs = highlighted.has(`${from}->${to}`) ? " [color=red]" : "";
+    lines.push(`  ${quote(from)} -> ${quote(to)}${attrs};`);
+  });
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function renderMermaid(graph, cycles = []) {
+  const inCycle = new Set(cycles.flat());
+  const highlighted = cycleEdges(graph, cycles);
+  const nodeIds = new Map(sortedNodes(graph).map((node, i) => [node.id, `n${i}`]));
+  const label = (text) => `"${text.replace(/"/g, "#quot;")}"`;
+  const shapes = {
+    command: (text) => `[${label(text)}]`,
+    test: (text) => `([${label(text)}])`,
+    builtin: (text) => `>${label(text)}]`,
+    undefined: (text) => `{{${label(text)}}}`,
+  };
+
+  const lines = ["graph LR"];
+  sortedNodes(graph).forEach((node) => {
+    lines.push(`  ${nodeIds.get(node.id)}${shapes[node.type](node.label)}`);
+  });
+
+  const highlightedLinks = [];
+  sortedEdges(graph).forEach(([from, to], i) => {
+    lines.push(`  ${nodeIds.get(from)} --> ${nodeIds.get(to)}`);
+    if (highlighted.has(`${from}->${to}`)) {
+      highlightedLinks.push(i);
+    }
+  });
+
+  if (inCycle.size) {
+    lines.push("  classDef cycle stroke:#f00,stroke-width:2px");
+    lines.push(`  class ${Array.from(inCycle).map((id) => nodeIds.get(id)).join(",")} cycle`);
+  }
+  if (highlightedLinks.length) {
+    lines.push(`  linkStyle ${highlightedLinks.join(",")} stroke:#f00,stroke-width:2px`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function renderJson(graph, cycles) {
+  return JSON.stringify({
+    nodes: sortedNodes(graph),
+    adjacency: Object.fromEntries(sortedNodes(graph).map((node) => {
+      return [node.id, Array.from(graph.adjacency.get(node.id)).sort()];
+    })),
+    ...(cycles && { cycles }),
+  }, null, 2) + "\n";
+}
+
+function sortedNodes(graph) {
+  return Array.from(graph.nodes.values()).sort((a, b) => a.label.localeCompare(b.label) || a.id.localeCompare(b.id));
+}
+
+function sortedEdges(graph) {
+  return sortedNodes(graph).flatMap((node) => {
+    return Array.from(graph.adjacency.get(node.id)).sort().map((to) => [node.id, to]);
+  });
+}
+
+module.exports = {
+  buildCommandGraph,
+  subgraphFrom,
+  findCycles,
+  testTitle,
+  renderDot,
+  renderMermaid,
+  renderJson,
+}
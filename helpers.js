@@ -0,0 +1,173 @@
+const path = require("path");
+const { SUPPORTED_HOOKS } = require('./parseUtils');
+const { resolveModulePath } = require('./parser');
+
+// how many references, imports and re-exports to follow when resolving a call, in case they go round in circles
+const MAX_RESOLVE_DEPTH = 20;
+
+/**
+ * Returns function resolve(filename, name, callerName?) that finds the helper function called as name (e.g.
+ * "setupUser" or "loginPage.fillForm", as in FuncCallObj) from the given file, given an object mapping filename to
+ * findCyStuff() output (with "helpers" and "moduleScope"). Imports and require() calls are followed to other files in
+ * results. callerName is the name of the helper making the call, if any, to resolve calls on `this` to other methods
+ * of the same object or class.
+ *
+ * resolve() returns the HelperObj with an extra "filename", or undefined if the call is not to a known helper.
+ */
+function createHelperResolver(results) {
+  const importedFilename = createImportLocator(results);
+
+  function resolve(filename, name, callerName) {
+    if (name.includes("()")) {
+      return undefined;  // called on the result of another call, e.g. api().get()
+    }
+    let segments = name.split(".");
+    if (segments[0] === "this") {
+      if (!callerName || !callerName.includes(".")) {
+        return undefined;
+      }
+      segments = callerName.split(".").slice(0, -1).concat(segments.slice(1));
+    }
+    return resolvePath(filename, segments, 0);
+  }
+
+  function resolvePath(filename, segments, depth) {
+    const result = results[filename];
+    if (!result || !result.moduleScope || depth > MAX_RESOLVE_DEPTH) {
+      return undefined;
+    }
+    const { references, imports } = result.moduleScope;
+    for (let i = segments.length; i > 0; i--) {
+      const reference = references[segments.slice(0, i).join(".")];
+      if (reference) {
+        return resolvePath(filename, reference.split(".").concat(segments.slice(i)), depth + 1);
+      }
+    }
+    const helper = (result.helpers || []).find((h) => h.name === segments.join("."));
+    if (helper) {
+      return { filename, ...helper };
+    }
+
+    const imported = imports[segments[0]];
+    const target = imported && importedFilename(filename, imported.source);
+    if (!target) {
+      return undefined;
+    } else if (imported.imported !== null) {
+      return resolveExport(target, imported.imported, segments.slice(1), depth + 1);
+    } else if (results[target].moduleScope && results[target].moduleScope.commonJS) {
+      return resolveExport(target, "default", segments.slice(1), depth + 1);  // require() of a CommonJS module
+    }
+    return resolveExport(target, segments[1], segments.slice(2), depth + 1);
+  }
+
+  function resolveExport(filename, name, rest, depth) {
+    const moduleScope = results[filename].moduleScope;
+    const exported = moduleScope && name && moduleScope.exports[name];
+    if (exported && exported.local) {
+      return resolvePath(filename, exported.local.split(".").concat(rest), depth + 1);
+    } else if (exported && exported.source) {
+      const target = importedFilename(filename, exported.source);
+      return target && resolveExport(target, exported.imported, rest, depth + 1);
+    } else if (!exported && moduleScope && moduleScope.commonJS && name !== "default") {
+      // named import of a CommonJS module, i.e. a property of module.exports
+      return resolveExport(filename, "default", [name, ...rest], depth + 1);
+    }
+    return undefined;
+  }
+
+  return resolve;
+}
+
+/**
+ * Returns function importedFiles(filename) that returns the Set of files in results (an object mapping filename to
+ * findCyStuff() output, with "moduleScope") that the given file imports, requires or re-exports from, directly or via
+ * other files in results.
+ */
+function createImportTracker(results) {
+  const importedFilename = createImportLocator(results);
+  const cache = new Map();
+  return (filename) => {
+    if (!cache.has(filename)) {
+      const found = new Set();
+      const stack = [filename];
+      while (stack.length) {
+        const current = stack.pop();
+        const { imports = {}, exports = {} } = (results[current] || {}).moduleScope || {};
+        Object.values(imports).concat(Object.values(exports))
+          .filter((entry) => entry.source !== undefined)
+          .map((entry) => importedFilename(current, entry.source))
+          .filter((target) => target && target !== filename && !found.has(target))
+          .forEach((target) => {
+            found.add(target);
+            stack.push(target);
+          });
+      }
+      cache.set(filename, found);
+    }
+    return cache.get(filename);
+  };
+}
+
+/**
+ * Returns function importedFilename(filename, source) that returns the file in results (an object mapping filename to
+ * findCyStuff() output) that source is imported from, or undefined if it is not one of them
+ */
+function createImportLocator(results) {
+  const filenamesByPath = new Map(Object.keys(results).map((filename) => [path.resolve(filename), filename]));
+  const known = new Set(filenamesByPath.keys());
+  return (filename, source) => filenamesByPath.get(resolveModulePath(source, path.resolve(filename), known));
+}
+
+/**
+ * Returns Array of { filename, name, start, end, helper } for every call to a helper function that uses cy.<command>,
+ * either directly or via other helpers, given an object mapping filename to findCyStuff() output (with "helpers" and
+ * "moduleScope", and "tests", "hooks", "added" and "helpers" all with "cyMethodsUsed" and "otherFuncCalls"). name,
+ * start and end are those of the call (see FuncCallObj), and helper is the HelperObj called, with "filename".
+ */
+function findHelperCallsUsing(results, command) {
+  const resolve = createHelperResolver(results);
+  const key = (obj) => `${obj.filename}:${obj.start}`;
+
+  // helpers can call each other in cycles, so keep marking helpers that call a marked helper until nothing changes
+  const helpers = Object.entries(results).flatMap(([filename, result]) => {
+    return (result.helpers || []).map((helper) => ({
+      key: key({ filename, ...helper }),
+      uses: (helper.cyMethodsUsed || []).some((cmd) => cmd.name === command),
+      calls: (helper.otherFuncCalls || [])
+        .map((call) => resolve(filename, call.name, helper.name))
+        .filter(Boolean)
+        .map(key),
+    }));
+  });
+  const usesCommand = new Set(helpers.filter((h) => h.uses).map((h) => h.key));
+  for (let changed = true; changed;) {
+    changed = false;
+    helpers.filter((h) => !usesCommand.has(h.key) && h.calls.some((k) => usesCommand.has(k))).forEach((h) => {
+      usesCommand.add(h.key);
+      changed = true;
+    });
+  }
+
+  const found = new Map();
+  for (const [filename, result] of Object.entries(results)) {
+    const hooks = Array.from(SUPPORTED_HOOKS).flatMap((type) => (result.hooks || {})[type] || []);
+    const callers = (result.tests || []).concat(hooks, result.added || [], result.helpers || []);
+    callers.forEach((caller) => {
+      const callerName = (result.helpers || []).includes(caller) ? caller.name : undefined;
+      (caller.otherFuncCalls || []).forEach((call) => {
+        const helper = resolve(filename, call.name, callerName);
+        const location = { filename, start: call.start, end: call.end };
+        if (helper && usesCommand.has(key(helper)) && !found.has(key(location))) {
+          found.set(key(location), { ...location, name: call.name, helper });
+        }
+      });
+    });
+  }
+  return Array.from(found.values());
+}
+
+module.exports = {
+  createHelperResolver,
+  createImportTracker,
+  findHelperCallsUsing,
+}
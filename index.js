@@ -2,34 +2,67 @@
 const path = require("path");
 const fs = require("fs");
 const glob = require("glob");
-const { Command } = require('commander');
-const { findCyStuff, readFileAndParseAST } = require('./parser');
-const { mapCharOffsetToLineno } = require('./utils');
+const { Command, Option } = require('commander');
+const { readFileAndFindCyStuff, readFileAndParseAST, runProjectExtensions, createImportResolver, SUPPORTED_EXTENSIONS
+} = require('./parser');
+const { loadExtension } = require('./extensions');
+const { findHelperCallsUsing } = require('./helpers');
+const { findChainableDeclarations, configureIdentifiers, isSkip, isOnly } = require('./parseUtils');
+const { loadConfig, DEFAULT_CONFIG, CONFIG_FILENAMES } = require('./config');
+const { mapCharOffsetToLineno, applyEdits, unifiedDiff } = require('./utils');
+const { buildCommandInventory, findUnusedCommands, findUndefinedCommands, findDuplicateCommands,
+  CYPRESS_BUILTIN_COMMANDS
+} = require('./inventory');
+const { findPrunableCommands, removalEdits } = require('./prune');
+const { isValidCommandName, renameEdits } = require('./rename');
+const { generateTypings } = require('./typings');
+const { buildCommandCatalogue, renderMarkdown, renderHtml } = require('./docs');
+const graphUtils = require('./graph');
+const { findAffectedTests } = require('./affected');
+const coverageUtils = require('./coverage');
+const { buildTagInventory } = require('./tags');
+const { buildSuiteTree, explainTest } = require('./suites');
+const { findAliasIssues } = require('./aliases');
+const { buildInterceptInventory } = require('./intercepts');
+const { checkFixtures } = require('./fixtures');
+const { buildSelectorInventory, BRITTLE_RULES, DEFAULT_BRITTLE_RULES } = require('./selectors');
+const { RULES, resolveRuleConfig, lintExtension, lintResults, renderStylish, renderSarif } = require('./lint');
 const pjs =  require("./package.json");
 
 
 const binName = pjs.name;
 
+// replaced by loaded config before any command runs
+let config = { ...DEFAULT_CONFIG, configFile: null };
+
 async function main() {
   const program = new Command();
   program
     .name(binName)
     .description("Parse and identify Cypress tests and commands")
     .version(pjs.version) // TODO: take this from package.json when packaged as standalone
+    .option('--config <file>', `config file to use (default: nearest ${CONFIG_FILENAMES.join(" or ")})`)
+    .hook('preAction', (thisCommand, actionCommand) => {
+      applyConfig(thisCommand.opts().config, actionCommand);
+    })
 
   program.command('dump')
     .description("Dump parse results to stdout as JSON")
-    .option('--qwil', 'enable Qwil extension')
+    .option('--extension <module>', 'load extension by name, path or package name (repeatable)', collect, [])
+    .option('--qwil', 'enable Qwil extension (same as --extension qwil)')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
     .addHelpText("after", `
 Examples:
 
-  ${binName} dump ./cypress  # look for all *.js files under ./cypress dir
+  ${binName} dump ./cypress  # look for all *.js, *.ts, *.tsx, ... files under ./cypress dir
   ${binName} dump ./cypress/tests ./cypress/support  # specify multiple dirs
   ${binName} dump ./tests/a.js  # parse a single file
+  ${binName} dump ./tests/b.cy.tsx  # TypeScript and JSX are supported too
+  ${binName} dump --extension ./scryo-ext.js --extension scryo-ext-foo ./cypress  # with extensions
     `)
-    .argument('<file_or_dir...>', 'files or dirs to parse')
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
     .action(async (paths, options) => {
-      await doDump(paths, options.qwil);
+      await doDump(paths, options);
     })
 
   program.command('find')
@@ -40,43 +73,387 @@ Examples:
   ${binName} find navigateToLogin ./cypress  # look for "navigateToLogin" command in ./cypress dir
   ${binName} find navigateToLogin ./cypress/tests ./cypress/support  # look in  multiple dirs
     `)
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
     .argument('<cyCommand>', 'cyCommand to search for')
-    .argument('<file_or_dir...>', 'files or dirs to parse')
-    .action(async (cyCommand, paths) => {
-      await doFind(cyCommand, paths);
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (cyCommand, paths, options) => {
+      await doFind(cyCommand, paths, options);
+    })
+
+  program.command('unused')
+    .description("List Cypress commands that are defined but never used, or defined more than once")
+    .option('--json', 'output as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Exits with non-zero status if any issues were found.
+
+Examples:
+
+  ${binName} unused ./cypress
+  ${binName} unused --json ./cypress/e2e ./cypress/support
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doInventory(paths, ["unused", "duplicates"], options);
+    })
+
+  program.command('undefined')
+    .description("List Cypress commands that are used but never defined")
+    .option('--json', 'output as JSON')
+    .option('--allow <names>', 'comma separated list of commands to ignore, e.g. those added by plugins')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Built-in Cypress commands are ignored. Exits with non-zero status if any issues were found.
+
+Examples:
+
+  ${binName} undefined ./cypress
+  ${binName} undefined --allow realClick,realHover ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doInventory(paths, ["undefined"], options);
+    })
+
+  program.command('prune')
+    .description("Delete Cypress commands that are never used")
+    .option('--dry-run', 'print unified diff of changes instead of modifying files')
+    .addHelpText("after", `
+Commands that are only used by other deleted commands are deleted too. Refuses to run if any file could not be
+parsed, since that file may use commands that would otherwise be deleted.
+
+Examples:
+
+  ${binName} prune --dry-run ./cypress  # preview changes
+  ${binName} prune ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doPrune(paths, options);
+    })
+
+  program.command('rename')
+    .description("Rename a Cypress command, updating its definition, all usages and TypeScript declarations")
+    .option('--dry-run', 'print unified diff of changes instead of modifying files')
+    .addHelpText("after", `
+Refuses to run if <newName> is already a Cypress command, or if any file could not be parsed.
+
+Examples:
+
+  ${binName} rename --dry-run navigateToLogin goToLogin ./cypress  # preview changes
+  ${binName} rename navigateToLogin goToLogin ./cypress
+    `)
+    .argument('<oldName>', 'current name of the command')
+    .argument('<newName>', 'new name for the command')
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (oldName, newName, paths, options) => {
+      await doRename(oldName, newName, paths, options);
+    })
+
+  program.command('typings')
+    .description("Generate TypeScript declarations for custom Cypress commands")
+    .option('-o, --output <file>', 'write declarations to file instead of stdout')
+    .option('--check', 'do not write anything, but exit with non-zero status if --output file is out of date')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} typings ./cypress  # print to stdout
+  ${binName} typings -o ./cypress/support/index.d.ts ./cypress
+  ${binName} typings --check -o ./cypress/support/index.d.ts ./cypress  # for CI
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doTypings(paths, options);
+    })
+
+  program.command('docs')
+    .description("Generate reference documentation for custom Cypress commands")
+    .option('--format <format>', 'output format, "markdown" or "html"', 'markdown')
+    .option('-o, --output <path>', 'file to write markdown to (default: stdout), or dir to write html to (required)')
+    .option('--examples <count>', 'max number of call sites to show per command', '3')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} docs ./cypress > COMMANDS.md
+  ${binName} docs --format html -o ./docs/commands ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doDocs(paths, options);
+    })
+
+  program.command('graph')
+    .description("Export graph of which Cypress commands call which other commands")
+    .option('--format <format>', 'output format, "dot", "mermaid" or "json"', 'dot')
+    .option('--root <cyCommand>', 'only include commands reachable from this command')
+    .option('--test <title>', 'only include commands reachable from tests with this full title (or part of it)')
+    .option('--highlight-cycles', 'highlight commands that call each other in a cycle')
+    .option('--include-builtins', 'include calls to built-in and undefined cy commands')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Test full titles are made up of describe() and it() titles joined with " > ", e.g. "Login > should log in".
+
+Examples:
+
+  ${binName} graph ./cypress | dot -Tsvg > commands.svg
+  ${binName} graph --format mermaid --root navigateToLogin ./cypress
+  ${binName} graph --format json --highlight-cycles ./cypress
+  ${binName} graph --test "Login > should log in" ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doGraph(paths, options);
+    })
+
+  program.command('affected')
+    .description("List spec files with tests affected by changes to the given files")
+    .option('--changed <files...>', 'changed files')
+    .option('--stdin', 'read changed files from stdin, one per line')
+    .option('--json', 'output affected tests and commands as JSON')
+    .addHelpText("after", `
+By default, prints affected spec files as a comma separated list which can be passed to "cypress run --spec".
+
+Examples:
+
+  ${binName} affected ./cypress --changed cypress/support/commands.js
+  git diff --name-only main | ${binName} affected --stdin ./cypress
+  npx cypress run --spec "$(git diff --name-only main | ${binName} affected --stdin ./cypress)"
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doAffected(paths, options);
     })
 
+  program.command('coverage')
+    .description("Report which custom commands each test exercises, directly, via hooks or via other commands")
+    .option('--format <format>', 'output format, "json" or "csv"', 'json')
+    .option('--by <by>', 'for csv, one row per "test" and command pair, or per "command"', 'test')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Examples:
+
+  ${binName} coverage ./cypress > coverage.json
+  ${binName} coverage --format csv ./cypress > coverage.csv
+  ${binName} coverage --format csv --by command ./cypress  # spot commands only covered by skipped tests
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doCoverage(paths, options);
+    })
+
+  program.command('tests')
+    .description("Show suites, tests and hooks of each file as a tree, with their tags")
+    .option('--grep-tags <expression>', 'only include tests matching tags, using the same syntax as @cypress/grep')
+    .option('--title <text>', 'only include tests with full title containing text (case insensitive)')
+    .option('--skipped', 'only include skipped tests')
+    .option('--focused', 'only include focused tests, i.e. with .only on the test or an enclosing describe')
+    .option('--specs', 'only print spec files with matching tests, as a comma separated list')
+    .option('--untagged', 'only list spec files that have no tagged tests')
+    .option('--json', 'output nested suites, tests and hooks of each file as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Tags come from the test config object e.g. it("logs in", { tags: ["@smoke"] }, ...) and from @tag tokens in titles,
+and are inherited from enclosing describes. Tag expressions:
+
+  "@smoke @login"   either tag (a comma works too)
+  "@smoke+@login"   both tags
+  "@smoke+-@slow"   @smoke but not @slow
+  "--@slow"         exclude @slow from every other part
+
+Examples:
+
+  ${binName} tests ./cypress/e2e
+  ${binName} tests --focused ./cypress  # find forgotten .only
+  ${binName} tests --grep-tags "@smoke+@login" --title login ./cypress
+  npx cypress run --spec "$(${binName} tests --specs --grep-tags @smoke ./cypress)"
+  ${binName} tests --untagged ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doTests(paths, options);
+    })
+
+  program.command('explain')
+    .description("Explain which hooks run for a test and in what order")
+    .option('--title <title>', 'full title of the test, e.g. "Login > logs in"')
+    .option('--json', 'output as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+The test is given either as <file>:<line> of any line within it, or with --title. Files or dirs to parse should include
+support files, so that global hooks declared in them are included.
+
+Examples:
+
+  ${binName} explain cypress/e2e/login.cy.js:12 ./cypress/support
+  ${binName} explain --title "Login > logs in" ./cypress
+    `)
+    .argument('[file_or_dir...]',
+      'test location as <file>:<line> (unless --title is given), then files or dirs to parse')
+    .action(async (args, options) => {
+      await doExplain(args, options);
+    })
+
+  program.command('aliases')
+    .description("Find aliases that are referenced but never defined with .as(), or defined but never used")
+    .option('--json', 'output as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Each test is checked together with the hooks that apply to it (including global hooks in support files) and the custom
+commands they call. Exits with non-zero status if any issues were found.
+
+Examples:
+
+  ${binName} aliases ./cypress
+  ${binName} aliases --json ./cypress/e2e ./cypress/support
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doAliases(paths, options);
+    })
+
+  program.command('intercepts')
+    .description("List network stubs set up with cy.intercept() or legacy cy.route(), grouped by URL pattern")
+    .option('--min-files <count>', 'report identical stubs found in at least this many files as duplicates', '2')
+    .option('--json', 'output as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Lists the tests that set up each stub, either directly or via hooks or custom commands. Identical stubs in many files
+are reported as duplicates that could become a shared custom command.
+
+Examples:
+
+  ${binName} intercepts ./cypress
+  ${binName} intercepts --min-files 3 --json ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doIntercepts(paths, options);
+    })
+
+  program.command('fixtures')
+    .description("Find references to fixtures that do not exist, and fixtures that are never referenced")
+    .option('--fixtures-dir <dir>', 'dir holding fixtures', 'cypress/fixtures')
+    .option('--project-root <dir>', 'dir that cy.readFile() paths are relative to', '.')
+    .option('--json', 'output as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Checks cy.fixture(), { fixture: ... } e.g. in cy.intercept(), and cy.readFile(). Fixtures referenced without an
+extension are resolved the way Cypress does, trying .json, .js, .txt etc. in turn. Exits with non-zero status if any
+issues were found.
+
+Examples:
+
+  ${binName} fixtures ./cypress
+  ${binName} fixtures --fixtures-dir test/fixtures --json ./test
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doFixtures(paths, options);
+    })
+
+  program.command('selectors')
+    .description("List selectors used with cy.get(), .find(), .contains() etc., grouped by attribute, id and class")
+    .option('--lookup <key>', 'list tests that use a selector key, e.g. "data-test=login-button", "id=main"')
+    .option('--brittle <rules>',
+      `comma separated brittle selector rules, from ${Object.keys(BRITTLE_RULES).join(", ")}`,
+      DEFAULT_BRITTLE_RULES.join(","))
+    .option('--json', 'output as JSON')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Selectors are normalised to keys such as "data-test=login-button" (one per attribute selector), "id=main" and
+"class=btn". Only selectors given as literal strings are included, including those in custom commands.
+
+Brittle selector rules:
+
+  positional   e.g. "li:nth-child(2)", "tr:first"
+  bare-class   only classes identify the element, e.g. ".btn.primary"
+  tag-only     only element names identify the element, e.g. "div > span"
+  id           any id selector, e.g. "#main"
+
+Examples:
+
+  ${binName} selectors ./cypress
+  ${binName} selectors --lookup data-test=login-button ./cypress  # which tests break if it is renamed?
+  ${binName} selectors --brittle positional,bare-class,id --json ./cypress
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doSelectors(paths, options);
+    })
+
+  program.command('lint')
+    .description("Check tests and commands against lint rules")
+    .option('--format <format>', 'output format, "stylish", "json" or "sarif"', 'stylish')
+    .option('-o, --output <file>', 'write report to file instead of stdout')
+    .option('--rule <rule=severity>', 'set severity of a rule to off, warn or error (repeatable)', collect, [])
+    .option('--max-warnings <count>', 'exit with non-zero status if there are more warnings than this')
+    .option('--fail-on-error', 'exit with non-zero status if any file could not be parsed')
+    .addHelpText("after", `
+Rules:
+
+${Object.entries(RULES).map(([name, rule]) => `  ${name.padEnd(26)} ${rule.description} (default: ${rule.severity})`)
+  .join("\n")}
+
+Severities can also be set with "rules" in config. Issues can be suppressed with a comment on the line before:
+
+  // scryo-disable-next-line no-skipped-tests
+  // scryo-disable-next-line   (all rules)
+
+Exits with non-zero status if there are any errors.
+
+Examples:
+
+  ${binName} lint ./cypress
+  ${binName} lint --rule no-skipped-tests=off --rule pure-describe=error ./cypress
+  ${binName} lint --format sarif -o scryo.sarif ./cypress  # for GitHub code scanning
+    `)
+    .argument('[file_or_dir...]', 'files or dirs to parse (default: "paths" from config)')
+    .action(async (paths, options) => {
+      await doLint(paths, options);
+    })
+
+  program.command('config')
+    .description("Show which config file is used")
+    .option('--print', 'print the resolved configuration as JSON')
+    .addHelpText("after", `
+Config files are searched for from the current dir upwards, unless --config is given.
+
+Examples:
+
+  ${binName} config --print
+  ${binName} --config ./ci/scryo.config.js config --print
+    `)
+    .action(async (options) => {
+      doConfig(options);
+    })
+
+  program.commands.forEach(addNegatedFlags);
   program.parse();
 }
 
 
-async function doDump(paths, enableQwilExtension = false) {
+async function doDump(paths, { extension = [], qwil = false, failOnError = false } = {}) {
+  const specs = config.extensions.concat(extension);
+  const extensions = loadExtensions(qwil ? [...specs, "qwil"] : specs);
   const filenames = resolvePaths(paths);
-  let out = {};
-  for (const filename of filenames) {
-    out[filename] = findCyStuff(
-      await readFileAndParseAST(path.resolve(filename)),
-      { enableQwilExtension }
-    );
-  }
+  const out = await parseFiles(filenames, { extensions });
   console.log(JSON.stringify(out, null, 2));
+  reportParseErrors(out, failOnError);
 }
 
 
-async function doFind(command, paths) {
+async function doFind(command, paths, { failOnError = false } = {}) {
   const filenames = resolvePaths(paths);
   const added = [];
   const used = [];
 
-  for (const filename of filenames) {
-    let result = findCyStuff(
-      await readFileAndParseAST(path.resolve(filename)),
-      {
-        find: { used: true, added: true },
-        includeCyMethodsUsed: false, // we don't care about cy methods used in definition of commands
-      }
-    );
+  // tests, hooks and helpers are needed to find calls to helper functions that use the command
+  const results = await parseFiles(filenames, {});
+  const viaHelpers = findHelperCallsUsing(results, command);
 
+  for (const [filename, result] of Object.entries(results)) {
     result.added.forEach((cmd) => {
       if (cmd.name === command) {
         added.push({
@@ -98,7 +475,7 @@ async function doFind(command, paths) {
 
   console.log("");
 
-  if (!(added.length + used.length)) {
+  if (!(added.length + used.length + viaHelpers.length)) {
     console.log(`🤷 Could not find definition or usage of "${command}".\n`)
     return;
   }
@@ -127,7 +504,913 @@ async function doFind(command, paths) {
       console.log(`        at (${formatMatchLocation(found)})`);
     })
   }
+  if (viaHelpers.length) {
+    console.log("");
+    console.log(`🧩 Found ${viaHelpers.length} call(s) to helper functions that use cy.${command}:`);
+    viaHelpers.forEach((found) => {
+      const definedAt = formatMatchLocation(found.helper);
+      console.log(`  🔗 ${found.name}()  (defined at ${definedAt})`);
+      console.log(`        at (${formatMatchLocation(found)})`);
+    });
+  }
   console.log("");
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doInventory(paths, checks, { json = false, allow = "", failOnError = false } = {}) {
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    find: { used: true, added: true },
+    includeCyMethodsUsed: false,
+    includeOtherFuncCalls: false,
+  });
+
+  const inventory = buildCommandInventory(results);
+  const report = {};
+  if (checks.includes("unused")) {
+    report.unused = findUnusedCommands(inventory);
+  }
+  if (checks.includes("undefined")) {
+    const allowlist = allow.split(",").map((s) => s.trim()).filter(Boolean);
+    report.undefined = findUndefinedCommands(inventory, allowlist);
+  }
+  if (checks.includes("duplicates")) {
+    report.duplicates = findDuplicateCommands(inventory);
+  }
+
+  if (json) {
+    const toLocation = ({ filename, start, end }) => ({ filename, start, end });
+    console.log(JSON.stringify(Object.fromEntries(Object.entries(report).map(([check, issues]) => [
+      check,
+      issues.map((issue) => ({
+        name: issue.name,
+        ...(issue.definitions && { definitions: issue.definitions.map(toLocation) }),
+        ...(issue.usages && { usages: issue.usages.map(toLocation) }),
+      })),
+    ])), null, 2));
+  } else {
+    printInventoryReport(report);
+  }
+
+  if (Object.values(report).some((issues) => issues.length)) {
+    process.exitCode = 1;
+  }
+  reportParseErrors(results, failOnError);
+}
+
+function printInventoryReport(report) {
+  console.log("");
+  if (report.unused) {
+    if (report.unused.length === 0) {
+      console.log(`🎉 No unused Cypress commands found.\n`);
+    } else {
+      console.log(`😿 Found ${report.unused.length} Cypress command(s) that are never used:`);
+      report.unused.forEach((issue) => {
+        console.log(`  🗑️  ${issue.name}`);
+        issue.definitions.forEach((found) => console.log(`        at (${formatMatchLocation(found)})`));
+      });
+      console.log("");
+    }
+  }
+
+  if (report.duplicates) {
+    if (report.duplicates.length === 0) {
+      console.log(`🎉 No Cypress commands defined more than once.\n`);
+    } else {
+      console.log(`😲 Found ${report.duplicates.length} Cypress command(s) with MULTIPLE definitions:`);
+      report.duplicates.forEach((issue) => {
+        console.log(`  👯 ${issue.name}`);
+        issue.definitions.forEach((found) => console.log(`        at (${formatMatchLocation(found)})`));
+      });
+      console.log("");
+    }
+  }
+
+  if (report.undefined) {
+    if (report.undefined.length === 0) {
+      console.log(`🎉 No undefined Cypress commands found.\n`);
+    } else {
+      console.log(`😱 Found ${report.undefined.length} Cypress command(s) that are used but never defined:`);
+      report.undefined.forEach((issue) => {
+        console.log(`  ❓ cy.${issue.name}() used ${issue.usages.length} time(s)`);
+        issue.usages.forEach((found) => console.log(`        at (${formatMatchLocation(found)})`));
+      });
+      console.log("");
+    }
+  }
+}
+
+
+async function doPrune(paths, { dryRun = false } = {}) {
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    find: { used: true, added: true },
+    includeCyMethodsUsed: false,
+    includeOtherFuncCalls: false,
+  });
+  quitOnParseErrors(results, "prune");
+
+  const { pruned, kept } = findPrunableCommands(buildCommandInventory(results));
+
+  kept.forEach((cmd) => {
+    console.error(`⚠️  Unused command "${cmd.name}" is not a standalone statement so cannot be deleted automatically`);
+    cmd.definitions.forEach((found) => console.error(`        at (${formatMatchLocation(found)})`));
+  });
+
+  if (!pruned.length) {
+    console.error(`🎉 No unused Cypress commands to prune.`);
+    return;
+  }
+
+  // Report before modifying any files, since locations are based on original file content
+  pruned.forEach((cmd) => {
+    console.error(`🗑️  ${dryRun ? "Would delete" : "Deleting"} "${cmd.name}"`
+      + (cmd.pass > 1 ? ` (pass ${cmd.pass})` : ""));
+    cmd.definitions.forEach((found) => console.error(`        at (${formatMatchLocation(found)})`));
+  });
+
+  const definitionsByFile = new Map();
+  pruned.forEach((cmd) => cmd.definitions.forEach((def) => {
+    definitionsByFile.set(def.filename, (definitionsByFile.get(def.filename) || []).concat(def));
+  }));
+
+  for (const [filename, definitions] of definitionsByFile) {
+    const before = fs.readFileSync(filename, "utf8");
+    const after = applyEdits(before, removalEdits(before, definitions));
+    if (dryRun) {
+      process.stdout.write(unifiedDiff(path.relative(process.cwd(), filename), before, after));
+    } else {
+      fs.writeFileSync(filename, after);
+    }
+  }
+  console.error(`\n${dryRun ? "Would delete" : "Deleted"} ${pruned.length} command(s) `
+    + `from ${definitionsByFile.size} file(s)`);
+}
+
+
+async function doRename(oldName, newName, paths, { dryRun = false } = {}) {
+  if (!isValidCommandName(newName)) {
+    quit(`ERROR: "${newName}" is not a valid command name`);
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    find: { used: true, added: true },
+    includeCyMethodsUsed: false,
+    includeOtherFuncCalls: false,
+  });
+  quitOnParseErrors(results, "rename");
+
+  const declarations = {};
+  for (const filename of filenames.filter((f) => /\.tsx?$/.test(f))) {
+    declarations[filename] = findChainableDeclarations((await readFileAndParseAST(path.resolve(filename))).ast);
+  }
+
+  const inventory = buildCommandInventory(results);
+  const declaredNames = new Set(Object.values(declarations).flat().map((decl) => decl.name));
+  if (inventory.added.has(newName) || declaredNames.has(newName) || CYPRESS_BUILTIN_COMMANDS.has(newName)) {
+    quit(`ERROR: Cypress command "${newName}" already exists`);
+  }
+  if (!inventory.added.has(oldName) && !inventory.used.has(oldName) && !declaredNames.has(oldName)) {
+    quit(`ERROR: could not find definition or usage of "${oldName}"`);
+  }
+  if (!inventory.added.has(oldName)) {
+    console.error(`⚠️  Could not find where Cypress command "${oldName}" was defined. Renaming usages only.`);
+  }
+  (inventory.added.get(oldName) || []).filter((found) => found.nameStart === undefined).forEach((found) => {
+    console.error(`⚠️  Cypress command "${oldName}" is not named by a literal so its definition must be renamed `
+      + `by hand`);
+    console.error(`        at (${formatMatchLocation(found)})`);
+  });
+
+  let changedFiles = 0;
+  let changes = 0;
+  for (const filename of filenames) {
+    const before = fs.readFileSync(filename, "utf8");
+    const edits = renameEdits(before, oldName, newName, {
+      result: results[filename],
+      declarations: declarations[filename],
+    });
+    if (!edits.length) {
+      continue;
+    }
+    const after = applyEdits(before, edits);
+    if (dryRun) {
+      process.stdout.write(unifiedDiff(path.relative(process.cwd(), filename), before, after));
+    } else {
+      fs.writeFileSync(filename, after);
+    }
+    changedFiles++;
+    changes += edits.length;
+  }
+  console.error(`${dryRun ? "Would rename" : "Renamed"} "${oldName}" to "${newName}" in ${changes} place(s) `
+    + `across ${changedFiles} file(s)`);
+}
+
+
+async function doTypings(paths, { output, check = false, failOnError = false } = {}) {
+  if (check && !output) {
+    quit("ERROR: --check requires --output");
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    find: { added: true },
+    includeCyMethodsUsed: false,
+    includeOtherFuncCalls: false,
+  });
+
+  const commands = [];
+  const sources = {};
+  for (const [filename, result] of Object.entries(results)) {
+    if (result.added.length) {
+      sources[filename] = fs.readFileSync(filename, "utf8");
+      result.added.forEach((cmd) => commands.push({ filename, ...cmd }));
+    }
+  }
+  const content = generateTypings(commands, sources);
+
+  if (check) {
+    const current = fs.existsSync(output) ? fs.readFileSync(output, "utf8") : null;
+    if (current === content) {
+      console.error(`✅ ${output} is up to date`);
+    } else {
+      console.error(`😿 ${output} is out of date. Regenerate with "${binName} typings -o ${output} ${paths.join(" ")}"`);
+      process.exitCode = 1;
+    }
+  } else if (output) {
+    fs.writeFileSync(output, content);
+    console.error(`Wrote declarations for ${new Set(commands.map((c) => c.name)).size} command(s) to ${output}`);
+  } else {
+    process.stdout.write(content);
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doDocs(paths, { format = "markdown", output, examples = "3", failOnError = false } = {}) {
+  if (!["markdown", "html"].includes(format)) {
+    quit(`ERROR: unsupported format "${format}". Expecting "markdown" or "html"`);
+  }
+  if (format === "html" && !output) {
+    quit("ERROR: --output dir is required for html format");
+  }
+  const maxExamples = parseInt(examples, 10);
+  if (isNaN(maxExamples) || maxExamples < 0) {
+    quit(`ERROR: --examples must be a non-negative number`);
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, { find: { used: true, added: true } });
+  const catalogue = buildCommandCatalogue(buildCommandInventory(results), { maxExamples });
+  const formatLocation = (match) => {
+    const loc = mapCharOffsetToLineno(match.filename, match.start);
+    return `${path.relative(process.cwd(), path.resolve(match.filename))}:${loc.line}`;
+  };
+
+  if (format === "markdown") {
+    const content = renderMarkdown(catalogue, formatLocation);
+    if (output) {
+      fs.writeFileSync(output, content);
+      console.error(`Wrote docs for ${catalogue.length} command(s) to ${output}`);
+    } else {
+      process.stdout.write(content);
+    }
+  } else {
+    fs.mkdirSync(output, { recursive: true });
+    for (const [filename, content] of Object.entries(renderHtml(catalogue, formatLocation))) {
+      fs.writeFileSync(path.join(output, filename), content);
+    }
+    console.error(`Wrote docs for ${catalogue.length} command(s) to ${output}`);
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doGraph(paths, options = {}) {
+  const { format = "dot", root, test, highlightCycles = false, includeBuiltins = false, failOnError = false } = options;
+  const renderers = { dot: graphUtils.renderDot, mermaid: graphUtils.renderMermaid, json: graphUtils.renderJson };
+  if (!renderers[format]) {
+    quit(`ERROR: unsupported format "${format}". Expecting one of ${Object.keys(renderers).join(", ")}`);
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, { find: { added: true, tests: Boolean(test), helpers: true } });
+  let graph = graphUtils.buildCommandGraph(results, { includeTests: Boolean(test), includeBuiltins });
+
+  const rootIds = [];
+  if (root) {
+    if (!graph.nodes.has(root)) {
+      quit(`ERROR: could not find definition of Cypress command "${root}"`);
+    }
+    rootIds.push(root);
+  }
+  if (test) {
+    const tests = Array.from(graph.nodes.values()).filter((node) => node.type === "test");
+    let matches = tests.filter((node) => node.label === test);
+    if (!matches.length) {
+      matches = tests.filter((node) => node.label.includes(test));
+    }
+    if (!matches.length) {
+      quit(`ERROR: could not find test matching "${test}"`);
+    }
+    rootIds.push(...matches.map((node) => node.id));
+  }
+  if (rootIds.length) {
+    graph = graphUtils.subgraphFrom(graph, rootIds);
+  }
+
+  const cycles = highlightCycles ? graphUtils.findCycles(graph) : undefined;
+  process.stdout.write(renderers[format](graph, cycles));
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doAffected(paths, { changed = [], stdin = false, json = false } = {}) {
+  if (stdin) {
+    const input = fs.readFileSync(0, "utf8");  // fd 0 is stdin
+    changed = changed.concat(input.split("\n").map((line) => line.trim()).filter(Boolean));
+  }
+  if (!changed.length) {
+    quit("ERROR: no changed files given. Use --changed or --stdin");
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {});
+  const scannedDirs = paths.map((p) => path.resolve(p));
+  const isScannedFile = (filename) => {
+    return SUPPORTED_EXTENSIONS.includes(path.extname(filename))
+      && scannedDirs.some((dir) => filename === dir || filename.startsWith(dir + path.sep));
+  };
+
+  const affected = findAffectedTests(results, changed.map((f) => path.resolve(f)), { isScannedFile });
+  if (affected.reason) {
+    console.error(`⚠️  Selecting all tests since ${affected.reason}`);
+  }
+
+  if (json) {
+    console.log(JSON.stringify({
+      ...affected,
+      tests: affected.tests.map(({ filename, title, test }) => ({ filename, title, start: test.start, end: test.end })),
+    }, null, 2));
+  } else {
+    console.log(affected.specs.join(","));
+  }
+}
+
+
+async function doCoverage(paths, { format = "json", by = "test", failOnError = false } = {}) {
+  if (!["json", "csv"].includes(format)) {
+    quit(`ERROR: unsupported format "${format}". Expecting "json" or "csv"`);
+  }
+  if (!["test", "command"].includes(by)) {
+    quit(`ERROR: unsupported --by "${by}". Expecting "test" or "command"`);
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {});
+  const coverage = coverageUtils.buildCoverage(results);
+
+  if (format === "csv") {
+    process.stdout.write(coverageUtils.renderCsv(coverage, by));
+  } else {
+    console.log(JSON.stringify(coverage, null, 2));
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doTests(paths, options = {}) {
+  const { grepTags, title, skipped = false, focused = false, specs = false, untagged = false, json = false,
+    failOnError = false } = options;
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    find: { tests: true, hooks: true },
+    includeCyMethodsUsed: false,
+    includeOtherFuncCalls: false,
+  });
+
+  const filter = (test) => {
+    return (!skipped || test.skip)
+      && (!focused || test.only)
+      && (!title || graphUtils.testTitle(test).toLowerCase().includes(title.toLowerCase()));
+  };
+  const inventory = buildTagInventory(results, { grepTags, filter });
+  const included = new Set(inventory.tests.map((t) => t.id));
+  const isFiltered = Boolean(grepTags || title || skipped || focused);
+  const trees = inventory.specs.concat(isFiltered ? [] : filenames.filter((f) => !inventory.specs.includes(f)))
+    .sort()
+    .map((filename) => ({
+      filename,
+      ...buildSuiteTree(results[filename], isFiltered && ((test) => included.has(test.id))),
+    }));
+
+  if (untagged && json) {
+    console.log(JSON.stringify(inventory.untaggedSpecs, null, 2));
+  } else if (untagged) {
+    if (!inventory.untaggedSpecs.length) {
+      console.error(`🎉 All spec files have tagged tests.`);
+    }
+    inventory.untaggedSpecs.forEach((filename) => console.log(filename));
+  } else if (specs) {
+    console.log(inventory.specs.join(","));
+  } else if (json) {
+    console.log(JSON.stringify(trees, null, 2));
+  } else {
+    console.log("");
+    trees.forEach((tree) => printSuiteTree(tree));
+    const unexpanded = inventory.tests.filter((t) => t.dataDriven && t.dataDriven.count === null).length;
+    console.log(`Found ${inventory.tests.length} test(s) in ${inventory.specs.length} spec file(s)`
+      + (unexpanded ? `, ${unexpanded} of them generated in loops that could not be expanded` : "") + "\n");
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+function printSuiteTree(tree) {
+  const location = (node) => `${tree.filename}:${mapCharOffsetToLineno(tree.filename, node.start).line}`;
+  const markers = (node) => {
+    return [
+      isSkip(node.func) && ".skip",
+      isOnly(node.func) && ".only",
+      node.tags && node.tags.length && `[${node.tags.join(" ")}]`,
+      node.dataDriven && node.dataDriven.count === null && "(data-driven, unknown count)",
+    ].filter(Boolean).join("  ");
+  };
+  const printLevel = (level, indent) => {
+    if (level.hooks.length) {
+      const counts = {};
+      level.hooks.forEach((h) => counts[h.hook] = (counts[h.hook] || 0) + 1);
+      const summary = Object.entries(counts).map(([hook, count]) => `${hook} ×${count}`).join(", ");
+      console.log(`${indent}🪝 ${summary}`);
+    }
+    // interleave suites and tests in source order
+    level.suites.map((suite) => ({ suite, start: suite.start }))
+      .concat(level.tests.map((test) => ({ test, start: test.start })))
+      .sort((a, b) => a.start - b.start)
+      .forEach(({ suite, test }) => {
+        const node = suite || test;
+        const label = [node.name, markers(node)].filter(Boolean).join("  ");
+        console.log(`${indent}${suite ? "📁" : "🧪"} ${label}  (${location(node)})`);
+        if (suite) {
+          printLevel(suite, indent + "    ");
+        }
+      });
+  };
+
+  console.log(`📄 ${tree.filename}`);
+  printLevel(tree, "    ");
+  console.log("");
+}
+
+
+async function doExplain(args, { title, json = false, failOnError = false } = {}) {
+  let paths = args;
+  let target;
+  if (!title) {
+    const match = (args[0] || "").match(/^(.+):(\d+)$/);
+    if (!match) {
+      quit("ERROR: expecting test location as <file>:<line>, or --title");
+    }
+    target = { filename: match[1], line: parseInt(match[2], 10) };
+    paths = args.slice(1);
+  }
+
+  // given only the test location, parse that file on its own unless config says where the rest of the specs are
+  let filenames = (paths.length || config.paths.length || !target) ? resolvePaths(paths) : [];
+  if (target) {
+    filenames = filenames.filter((f) => path.resolve(f) !== path.resolve(target.filename));
+    filenames = resolvePaths([target.filename]).concat(filenames);
+  }
+  const results = await parseFiles(filenames, { includeOtherFuncCalls: false });
+
+  let found = [];
+  if (target) {
+    const filename = filenames[0];
+    const lineOf = (offset) => mapCharOffsetToLineno(filename, offset).line;
+    const enclosing = (results[filename].tests || [])
+      .filter((test) => lineOf(test.start) <= target.line && target.line <= lineOf(test.end));
+    // innermost test, once per iteration if it is generated in a loop
+    const innermost = enclosing.at(-1);
+    found = enclosing.filter((test) => innermost && test.start === innermost.start).map((test) => ({ filename, test }));
+  } else {
+    for (const [filename, result] of Object.entries(results)) {
+      (result.tests || []).filter((test) => graphUtils.testTitle(test) === title)
+        .forEach((test) => found.push({ filename, test }));
+    }
+  }
+  if (!found.length) {
+    reportParseErrors(results);
+    quit(`ERROR: could not find test ${target ? `at ${target.filename}:${target.line}` : `"${title}"`}`);
+  }
+
+  const explained = found.map(({ filename, test }) => ({
+    filename,
+    title: graphUtils.testTitle(test),
+    start: test.start,
+    steps: explainTest(results, filename, test),
+  }));
+
+  if (json) {
+    console.log(JSON.stringify(explained, null, 2));
+  } else {
+    console.log("");
+    explained.forEach(({ filename, title, start, steps }) => {
+      console.log(`🧪 ${title}`);
+      console.log(`    at (${formatMatchLocation({ filename, start })})\n`);
+      steps.forEach((step, i) => {
+        const icon = step.step === "test" ? "▶️ " : "🪝";
+        const where = step.suite === null ? "root" : `"${step.suite}"`;
+        const label = step.step === "test" ? "test body" : `${step.step} in ${where}`;
+        console.log(`  ${String(i + 1).padStart(2)}. ${icon} ${label}`);
+        console.log(`        at (${formatMatchLocation(step)})`);
+        if (step.cyMethodsUsed.length) {
+          console.log(`        uses ${step.cyMethodsUsed.map((c) => `cy.${c.name}()`).join(", ")}`);
+        }
+      });
+      console.log("");
+    });
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doAliases(paths, { json = false, failOnError = false } = {}) {
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {});
+  const sources = Object.fromEntries(filenames.map((f) => [f, fs.readFileSync(f, "utf8")]));
+  const issues = findAliasIssues(results, sources);
+
+  if (json) {
+    console.log(JSON.stringify(issues, null, 2));
+  } else {
+    console.log("");
+    if (!issues.undefined.length) {
+      console.log(`🎉 No references to undefined aliases found.\n`);
+    } else {
+      console.log(`😱 Found ${issues.undefined.length} reference(s) to aliases that are never defined:`);
+      issues.undefined.forEach((issue) => {
+        console.log(`  ❓ @${issue.alias}`);
+        console.log(`        at (${formatMatchLocation(issue)})`);
+        issue.tests.forEach((test) => console.log(`        in "${test.title}" (${test.filename})`));
+      });
+      console.log("");
+    }
+    if (!issues.unused.length) {
+      console.log(`🎉 No unused aliases found.\n`);
+    } else {
+      console.log(`😿 Found ${issues.unused.length} alias(es) that are defined but never used:`);
+      issues.unused.forEach((issue) => {
+        console.log(`  🗑️  @${issue.alias}`);
+        console.log(`        at (${formatMatchLocation(issue)})`);
+      });
+      console.log("");
+    }
+  }
+
+  if (issues.undefined.length || issues.unused.length) {
+    process.exitCode = 1;
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doIntercepts(paths, { minFiles = "2", json = false, failOnError = false } = {}) {
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {});
+  const inventory = buildInterceptInventory(results, { minFiles: parseInt(minFiles, 10) });
+
+  if (json) {
+    console.log(JSON.stringify(inventory, null, 2));
+    reportParseErrors(results, failOnError);
+    return;
+  }
+
+  const describeStub = (stub) => {
+    return [
+      `cy.${stub.name}()`,
+      stub.matcher && `matching ${JSON.stringify(stub.matcher)}`,
+      stub.statusCode !== undefined && `status ${stub.statusCode}`,
+      stub.fixture !== undefined && `fixture "${stub.fixture}"`,
+      stub.body !== undefined && `body ${JSON.stringify(stub.body)}`,
+      stub.handler && "handler function",
+      stub.alias && `as @${stub.alias}`,
+      stub.unresolved && "(partly dynamic)",
+    ].filter(Boolean).join(" ");
+  };
+
+  console.log("");
+  if (!inventory.routes.length) {
+    console.log(`🤷 No network stubs found.\n`);
+  }
+  inventory.routes.forEach((route) => {
+    const url = route.url === null ? "[dynamic URL]" : route.url;
+    console.log(`🌐 ${route.method || "*"} ${url}  (${route.stubs.length} stub(s), ${route.tests.length} test(s))`);
+    route.stubs.forEach((stub) => {
+      console.log(`  🔌 ${describeStub(stub)}`);
+      console.log(`        at (${formatMatchLocation(stub)})`);
+    });
+    route.tests.forEach((test) => console.log(`  🧪 ${test.title} (${test.filename})`));
+    console.log("");
+  });
+
+  if (inventory.duplicates.length) {
+    console.log(`👯 Found ${inventory.duplicates.length} stub(s) duplicated across files, consider a shared command:`);
+    inventory.duplicates.forEach((dup) => {
+      const stub = dup.stubs[0];
+      console.log(`  ${stub.method || "*"} ${stub.url} ${describeStub(stub)}  in ${dup.files.length} files`);
+      dup.stubs.forEach((s) => console.log(`        at (${formatMatchLocation(s)})`));
+    });
+    console.log("");
+  }
+
+  if (inventory.legacy.length) {
+    console.log(`👴 Found ${inventory.legacy.length} use(s) of deprecated cy.server() or cy.route():`);
+    inventory.legacy.forEach((found) => console.log(`        at (${formatMatchLocation(found)})`));
+    console.log("");
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doFixtures(paths, options = {}) {
+  const { fixturesDir = "cypress/fixtures", projectRoot = ".", json = false, failOnError = false } = options;
+  if (!fs.existsSync(fixturesDir) || !fs.lstatSync(fixturesDir).isDirectory()) {
+    quit(`ERROR: fixtures dir "${fixturesDir}" does not exist. Use --fixtures-dir to set it`);
+  }
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    find: { used: true },
+    includeCyMethodsUsed: false,
+    includeOtherFuncCalls: false,
+  });
+  const report = checkFixtures(results, { fixturesDir, projectRoot });
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log("");
+    if (!report.missing.length) {
+      console.log(`🎉 All referenced fixtures exist.\n`);
+    } else {
+      console.log(`😱 Found ${report.missing.length} reference(s) to fixtures or files that do not exist:`);
+      report.missing.forEach((ref) => {
+        console.log(`  ❓ ${ref.path}${ref.kind === "readFile" ? " (cy.readFile)" : ""}`);
+        console.log(`        at (${formatMatchLocation(ref)})`);
+      });
+      console.log("");
+    }
+    if (!report.unreferenced.length) {
+      console.log(`🎉 All fixtures are referenced.\n`);
+    } else {
+      console.log(`😿 Found ${report.unreferenced.length} fixture(s) in ${fixturesDir} that are never referenced:`);
+      report.unreferenced.forEach((f) => console.log(`  🗑️  ${f}`));
+      console.log("");
+    }
+    if (report.dynamic.length) {
+      console.log(`⚠️  ${report.dynamic.length} fixture reference(s) could not be statically evaluated, so some of the `
+        + `fixtures above may be used:`);
+      report.dynamic.forEach((ref) => console.log(`        at (${formatMatchLocation(ref)})`));
+      console.log("");
+    }
+  }
+
+  if (report.missing.length || report.unreferenced.length) {
+    process.exitCode = 1;
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doSelectors(paths, options = {}) {
+  const { lookup, brittle = DEFAULT_BRITTLE_RULES.join(","), json = false, failOnError = false } = options;
+  const brittleRules = brittle.split(",").map((s) => s.trim()).filter(Boolean);
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {});
+  let inventory;
+  try {
+    inventory = buildSelectorInventory(results, { brittleRules });
+  } catch (e) {
+    quit(`ERROR: ${e.message}`);
+  }
+
+  if (lookup) {
+    const group = inventory.groups.find((g) => g.key === lookup);
+    if (json) {
+      console.log(JSON.stringify(group || null, null, 2));
+    } else if (!group) {
+      console.log(`\n🤷 No selectors found for "${lookup}".\n`);
+    } else {
+      console.log(`\n🎯 "${lookup}" is used ${group.usages.length} time(s):`);
+      group.usages.forEach((usage) => {
+        console.log(`  🔗 ${usage.method}("${usage.selector}")`);
+        console.log(`        at (${formatMatchLocation(usage)})`);
+      });
+      console.log(`\n🧪 by ${group.tests.length} test(s):`);
+      group.tests.forEach((test) => console.log(`  🧪 ${test.title} (${test.filename})`));
+      console.log("");
+    }
+  } else if (json) {
+    console.log(JSON.stringify(inventory, null, 2));
+  } else {
+    console.log("");
+    const attributes = Array.from(new Set(inventory.groups.map((g) => g.attribute)));
+    attributes.forEach((attribute) => {
+      const groups = inventory.groups.filter((g) => g.attribute === attribute);
+      console.log(`🎯 ${attribute}  (${groups.length} value(s))`);
+      groups.forEach((group) => {
+        console.log(`  ${group.key}  used ${group.usages.length} time(s) by ${group.tests.length} test(s)`);
+      });
+      console.log("");
+    });
+    if (inventory.brittle.length) {
+      console.log(`⚠️  Found ${inventory.brittle.length} brittle selector(s):`);
+      inventory.brittle.forEach((usage) => {
+        console.log(`  🔸 ${usage.method}("${usage.selector}")  ${usage.rules.join(", ")}`);
+        console.log(`        at (${formatMatchLocation(usage)})`);
+      });
+      console.log("");
+    }
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+async function doLint(paths, options = {}) {
+  const { format = "stylish", output, rule = [], maxWarnings, failOnError = false } = options;
+  if (!["stylish", "json", "sarif"].includes(format)) {
+    quit(`ERROR: unsupported format "${format}". Expecting "stylish", "json" or "sarif"`);
+  }
+  const rulesConfig = { ...config.rules };
+  rule.forEach((value) => {
+    const [name, severity] = value.split("=");
+    if (!severity) {
+      quit(`ERROR: expecting --rule <rule=severity>, e.g. no-skipped-tests=off. Got "${value}"`);
+    }
+    rulesConfig[name] = [severity].concat([].concat(rulesConfig[name] || []).slice(1));
+  });
+  let ruleConfig;
+  try {
+    ruleConfig = resolveRuleConfig(rulesConfig);
+  } catch (e) {
+    quit(`ERROR: ${e.message}`);
+  }
+
+  const filenames = resolvePaths(paths);
+  const results = await parseFiles(filenames, {
+    includeOtherFuncCalls: false,
+    extensions: [lintExtension(ruleConfig)],
+  });
+  const issues = lintResults(results, ruleConfig);
+
+  let report;
+  if (format === "json") {
+    report = JSON.stringify(issues, null, 2) + "\n";
+  } else if (format === "sarif") {
+    report = renderSarif(issues, ruleConfig, { name: binName, version: pjs.version }) + "\n";
+  } else {
+    report = renderStylish(issues);
+  }
+  if (output) {
+    fs.writeFileSync(output, report);
+    console.error(`📝 Wrote ${issues.length} issue(s) to ${output}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  const errors = issues.filter((i) => i.severity === "error").length;
+  const warnings = issues.length - errors;
+  if (errors || (maxWarnings !== undefined && warnings > parseInt(maxWarnings, 10))) {
+    process.exitCode = 1;
+  }
+  reportParseErrors(results, failOnError);
+}
+
+
+function doConfig({ print = false } = {}) {
+  if (print) {
+    console.log(JSON.stringify(config, null, 2));
+  } else if (config.configFile) {
+    console.log(config.configFile);
+  } else {
+    console.error(`🤷 No config file found. Looked for ${CONFIG_FILENAMES.join(", ")} from ${process.cwd()} upwards`);
+  }
+}
+
+
+/**
+ * Loads config (from configFile, or the nearest config file) and applies it before running actionCommand, i.e.
+ * configures test/describe/hook identifiers and sets option defaults from "commands" in config. Options given on the
+ * command line take precedence over config.
+ */
+function applyConfig(configFile, actionCommand) {
+  try {
+    config = loadConfig(configFile);
+  } catch (e) {
+    quit(`ERROR: could not load config: ${e.message.split("\n")[0]}`);
+  }
+  configureIdentifiers(config);
+
+  const defaults = config.commands[actionCommand.name()] || {};
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!actionCommand.options.some((option) => option.attributeName() === key)) {
+      quit(`ERROR: unknown option "${key}" for "${actionCommand.name()}" in ${config.configFile}`);
+    }
+    if (actionCommand.getOptionValueSource(key) !== "cli") {
+      actionCommand.setOptionValueWithSource(key, value, "config");
+    }
+  }
+}
+
+/**
+ * Adds a hidden --no-<flag> for every boolean flag of command, so that a flag turned on in config can be turned off
+ * again on the command line.
+ */
+function addNegatedFlags(command) {
+  command.options.filter((option) => option.isBoolean() && !option.negate).forEach((option) => {
+    const negated = option.long.replace(/^--/, "--no-");
+    if (!command.options.some((other) => other.long === negated)) {
+      command.addOption(new Option(negated).hideHelp());
+    }
+  });
+}
+
+
+/**
+ * Parses all given files, returning an object mapping each filename to its findCyStuff() output. Files that could not
+ * be parsed are included too, with the reason in their "errors".
+ *
+ * If options include extensions, their project-level hooks are run once all files are parsed.
+ */
+async function parseFiles(filenames, options) {
+  const out = {};
+  // ids of tests and hooks are relative to the project root, i.e. the directory of the config file if there is one
+  const rootDir = config.configFile ? path.dirname(path.resolve(config.configFile)) : process.cwd();
+  // consts imported from other given files are resolved, e.g. in test titles and arguments of cy commands
+  const resolveImport = createImportResolver(filenames);
+  for (const filename of filenames) {
+    out[filename] = await readFileAndFindCyStuff(path.resolve(filename), { rootDir, resolveImport, ...options });
+  }
+  if (options.extensions) {
+    runProjectExtensions(options.extensions, out);
+  }
+  return out;
+}
+
+
+function loadExtensions(specs) {
+  return Array.from(new Set(specs)).map((spec) => {
+    try {
+      return loadExtension(spec, process.cwd(), config.extensionOptions);
+    } catch (e) {
+      quit(`ERROR: could not load extension "${spec}": ${e.message.split("\n")[0]}`);
+    }
+  });
+}
+
+
+/**
+ * Commander option parser for repeatable options
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+
+/**
+ * Prints files that could not be parsed, or were skipped, to stderr. If failOnError is set and any file failed to
+ * parse, the process will exit with non-zero status.
+ */
+function reportParseErrors(results, failOnError = false) {
+  let failed = 0;
+  for (const [filename, result] of Object.entries(results)) {
+    result.errors.filter((e) => e.fatal || e.skipped).forEach((e) => {
+      if (e.fatal) {
+        failed++;
+        const lineAtError = fs.readFileSync(filename, "utf8").split("\n")[e.line - 1];
+        console.error(`❌ ${e.message}\n\n${lineAtError}\n${' '.repeat(e.column - 1)}^\n`);
+      } else {
+        console.error(`⏭️  ${e.message}`);
+      }
+      console.error(`    at (${path.resolve(filename)}:${e.line}:${e.column})\n`);
+    });
+  }
+
+  if (failed && failOnError) {
+    console.error(`ERROR: ${failed} file(s) could not be parsed`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Quits if any file could not be parsed, since we cannot safely modify code based on partial results.
+ */
+function quitOnParseErrors(results, action) {
+  reportParseErrors(results, true);
+  if (process.exitCode) {
+    quit(`ERROR: refusing to ${action} when some files could not be parsed`);
+  }
 }
 
 function formatMatchLocation(match) {
@@ -142,7 +1425,20 @@ function quit(message) {
 }
 
 
+/**
+ * Returns sorted Array of files to parse, expanding dirs using "include" and "exclude" globs from config. Falls back to
+ * "paths" from config if no paths are given.
+ */
 function resolvePaths(paths) {
+  if (!paths.length) {
+    paths = config.paths;
+  }
+  if (!paths.length) {
+    quit(`ERROR: no files or dirs given, and no "paths" in config`);
+  }
+
+  const extGlob = SUPPORTED_EXTENSIONS.map((e) => e.slice(1)).join(",");
+  const include = config.include || [`**/*.{${extGlob}}`];
   let resolved = new Set();
   for (const p of new Set(paths)) {
     if (!fs.existsSync(p)) {
@@ -150,15 +1446,17 @@ function resolvePaths(paths) {
     }
     let stat = fs.lstatSync(p);
     if (stat.isFile()) {
-      if (p.endsWith(".js")) {
+      if (SUPPORTED_EXTENSIONS.includes(path.extname(p))) {
         resolved.add(p);
       } else {
-        quit(`ERROR: unsupported file "${p}". Expecting *.js`)
+        quit(`ERROR: unsupported file "${p}". Expecting one of ${SUPPORTED_EXTENSIONS.map((e) => "*" + e).join(", ")}`)
       }
     } else if (stat.isDirectory()) {
-      glob.sync("**/*.js", { cwd: p }).forEach((f) => {
-        resolved.add(path.join(p, f));
-      })
+      include.forEach((pattern) => {
+        glob.sync(pattern, { cwd: p, ignore: config.exclude, nodir: true })
+          .filter((f) => SUPPORTED_EXTENSIONS.includes(path.extname(f)))
+          .forEach((f) => resolved.add(path.join(p, f)));
+      });
     } else {
       quit(`ERROR: "${p}" is neither a file nor a directory`);
     }
@@ -0,0 +1,206 @@
+const { testTitle } = require('./graph');
+const { buildTestContexts } = require('./suites');
+
+const HTTP_METHODS = new Set(["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]);
+const STATIC_RESPONSE_KEYS = new Set(["fixture", "body", "statusCode", "headers", "delay", "delayMs", "throttleKbps",
+  "forceNetworkError"]);
+
+/**
+ * Lists network stubs, i.e. cy.intercept() calls and legacy cy.route() calls, given an object mapping filename to
+ * findCyStuff() output (with "used", and "added", "tests" and "hooks", all with "cyMethodsUsed").
+ *
+ * Returns:
+ *  - routes: Array of { method, url, stubs, tests } for each distinct method and URL pattern, sorted by URL, where
+ *            stubs is an Array of StubObj (see parseStub) and tests is an Array of { filename, title } of tests that set
+ *            up any of those stubs, either directly or via hooks or custom commands. method is null if any method
+ *            matches, and url is null if it could not be statically evaluated.
+ *  - duplicates: Array of { stubs, files } for identical stubs (same method, URL, response and alias) found in at
+ *                least minFiles files, which could become a shared custom command
+ *  - legacy: Array of { name, filename, start, end } for every cy.server() and cy.route() call
+ */
+function buildInterceptInventory(results, { minFiles = 2 } = {}) {
+  const stubs = [];
+  const legacy = [];
+  for (const [filename, result] of Object.entries(results)) {
+    const used = result.used || [];
+    used.forEach((cmd) => {
+      if (cmd.name === "server" || cmd.name === "route") {
+        legacy.push({ name: cmd.name, filename, start: cmd.start, end: cmd.end });
+      }
+      const stub = parseStub(cmd, used);
+      if (stub) {
+        stubs.push({ filename, ...stub });
+      }
+    });
+  }
+
+  const key = (obj) => `${obj.filename}:${obj.start}`;
+  const testsByStub = new Map();
+  buildTestContexts(results).forEach(({ filename, test, blocks }) => {
+    blocks.forEach((block) => {
+      (block.cyMethodsUsed || []).forEach((cmd) => {
+        const k = key({ filename: block.filename, start: cmd.start });
+        const tests = testsByStub.get(k) || [];
+        if (!tests.some((t) => t.id === test.id)) {
+          testsByStub.set(k, tests.concat({ filename, title: testTitle(test), id: test.id }));
+        }
+      });
+    });
+  });
+
+  const routes = new Map();
+  stubs.forEach((stub) => {
+    const routeKey = JSON.stringify([stub.url, stub.method]);
+    if (!routes.has(routeKey)) {
+      routes.set(routeKey, { method: stub.method, url: stub.url, stubs: [], tests: [] });
+    }
+    const route = routes.get(routeKey);
+    route.stubs.push(stub);
+    (testsByStub.get(key(stub)) || []).forEach((test) => {
+      if (!route.tests.some((t) => t.id === test.id)) {
+        route.tests.push(test);
+      }
+    });
+  });
+
+  const bySignature = new Map();
+  stubs.filter((stub) => stub.url !== null && !stub.unresolved).forEach((stub) => {
+    const { filename, start, end, ...rest } = stub;
+    const signature = JSON.stringify(rest);
+    bySignature.set(signature, (bySignature.get(signature) || []).concat(stub));
+  });
+  const duplicates = Array.from(bySignature.values())
+    .map((group) => ({ stubs: group, files: Array.from(new Set(group.map((s) => s.filename))).sort() }))
+    .filter((dup) => dup.files.length >= minFiles);
+
+  return {
+    routes: Array.from(routes.values())
+      .sort((a, b) => String(a.url).localeCompare(String(b.url)) || String(a.method).localeCompare(String(b.method)))
+      .map((route) => ({ ...route, tests: route.tests.map(({ filename, title }) => ({ filename, title })) })),
+    duplicates,
+    legacy,
+  };
+}
+
+/**
+ * Returns StubObj for a CommandUseObj if it is a cy.intercept() or cy.route() call, otherwise undefined. used is every
+ * CommandUseObj in the same file, to find the alias given with a chained .as().
+ *
+ * StubObj is { name, start, end, method, url, matcher?, fixture?, body?, statusCode?, handler?, alias?, unresolved? }
+ * where name is "intercept" or "route", handler is true if the response is a function, and unresolved is true if any
+ * argument could not be statically evaluated.
+ */
+function parseStub(cmd, used) {
+  if (cmd.chain.length || !["intercept", "route"].includes(cmd.name)) {
+    return undefined;
+  }
+  const args = cmd.arguments;
+  const values = args.map((_, i) => toPlainValue((cmd.literalArguments || {})[i]));
+  const stub = { name: cmd.name, start: cmd.start, end: cmd.end, method: null, url: null };
+  let responseIndex;
+
+  if (typeof values[0] === "string" && HTTP_METHODS.has(values[0].toUpperCase()) && args.length >= 2) {
+    // (method, url, response?)
+    stub.method = values[0].toUpperCase();
+    stub.url = values[1] === undefined ? null : values[1];
+    responseIndex = 2;
+  } else if (values[0] && typeof values[0] === "object") {
+    // (routeMatcher, response?) or legacy route(options)
+    const { method, url, path, pathname, response, ...matcher } = values[0];
+    stub.method = method ? String(method).toUpperCase() : null;
+    stub.url = url || path || pathname || null;
+    if (Object.keys(matcher).length) {
+      stub.matcher = matcher;
+    }
+    if (response !== undefined) {
+      Object.assign(stub, parseResponse(cmd.name, response));
+    }
+    responseIndex = 1;
+  } else {
+    // (url, response?) or (url, routeMatcher, response)
+    stub.url = values[0] === undefined ? null : values[0];
+    responseIndex = 1;
+    if (cmd.name === "intercept" && args.length >= 3) {
+      stub.matcher = values[1];
+      responseIndex = 2;
+    }
+  }
+
+  if (args[responseIndex]) {
+    if (["FunctionExpression", "ArrowFunctionExpression"].includes(args[responseIndex].type)) {
+      stub.handler = true;
+    } else if (values[responseIndex] !== undefined) {
+      Object.assign(stub, parseResponse(cmd.name, values[responseIndex]));
+    }
+  }
+  if (args.some((_, i) => values[i] === undefined && !(i === responseIndex && stub.handler))) {
+    stub.unresolved = true;
+  }
+
+  const alias = findChainedAlias(cmd, used);
+  if (alias) {
+    stub.alias = alias;
+  }
+  if (stub.method === null && cmd.name === "route") {
+    stub.method = "GET";  // cy.route() defaults to GET, whereas cy.intercept() matches any method by default
+  }
+  return stub;
+}
+
+/**
+ * Returns { fixture?, body?, statusCode? } for a statically evaluated response
+ */
+function parseResponse(name, response) {
+  if (typeof response === "string") {
+    // cy.route() accepts "fixture:name" or "fx:name" to respond with a fixture
+    const match = name === "route" && response.match(/^(fixture|fx):(.+)$/);
+    return match ? { fixture: match[2] } : { body: response };
+  }
+  if (response && typeof response === "object" && !Array.isArray(response)
+    && Object.keys(response).some((k) => STATIC_RESPONSE_KEYS.has(k))) {
+    const { fixture, body, statusCode } = response;
+    return {
+      ...(fixture !== undefined && { fixture }),
+      ...(body !== undefined && { body }),
+      ...(statusCode !== undefined && { statusCode }),
+    };
+  }
+  return { body: response };
+}
+
+/**
+ * Returns alias given with .as() chained directly onto the given call, e.g. cy.intercept(...).as("getUser")
+ */
+function findChainedAlias(cmd, used) {
+  const asCall = used
+    .filter((u) => u.name === "as" && u.chain.length === 1 && u.chain[0] === cmd.name && u.start >= cmd.end)
+    .sort((a, b) => a.start - b.start)[0];
+  if (!asCall) {
+    return undefined;
+  }
+  // make sure there isn't another call in between, i.e. this .as() is chained onto cmd and not a later call
+  const closest = used.filter((u) => u.name === cmd.name && !u.chain.length && u.end <= asCall.start)
+    .sort((a, b) => b.end - a.end)[0];
+  const alias = (asCall.literalArguments || {})[0];
+  return (closest === cmd && typeof alias === "string") ? alias : undefined;
+}
+
+/**
+ * Returns statically evaluated value with RegExp (e.g. for URL patterns) replaced by their source, so it can be
+ * compared and serialised
+ */
+function toPlainValue(value) {
+  if (value instanceof RegExp) {
+    return String(value);
+  } else if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  } else if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlainValue(v)]));
+  }
+  return value;
+}
+
+module.exports = {
+  buildInterceptInventory,
+  parseStub,
+}
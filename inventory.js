@@ -0,0 +1,94 @@
+/**
+ * Built-in Cypress commands (including assertions and legacy commands) that will never have a matching
+ * Cypress.Commands.add() but are still valid to call on cy.
+ */
+const CYPRESS_BUILTIN_COMMANDS = new Set([
+  "and", "as", "blur", "check", "children", "clear", "clearAllCookies", "clearAllLocalStorage",
+  "clearAllSessionStorage", "clearCookie", "clearCookies", "clearLocalStorage", "click", "clock", "closest", "contains",
+  "dblclick", "debug", "document", "each", "end", "eq", "exec", "filter", "find", "first", "fixture", "focus",
+  "focused", "get", "getAllCookies", "getAllLocalStorage", "getAllSessionStorage", "getCookie", "getCookies", "go",
+  "hash", "intercept", "invoke", "its", "last", "location", "log", "next", "nextAll", "nextUntil", "not", "origin",
+  "parent", "parents", "parentsUntil", "pause", "press", "prev", "prevAll", "prevUntil", "readFile", "reload",
+  "request", "rightclick", "root", "route", "screenshot", "scrollIntoView", "scrollTo", "select", "selectFile",
+  "server", "session", "setCookie", "shadow", "should", "siblings", "spread", "spy", "stub", "submit", "task", "then",
+  "tick", "title", "trigger", "type", "uncheck", "url", "viewport", "visit", "wait", "window", "within", "wrap",
+  "writeFile",
+]);
+
+/**
+ * Given an object mapping filename to findCyStuff() output (with "added" and "used"), returns:
+ *  - added: Map of command name to Array of CommandAddObj where that command was added, each with extra "filename"
+ *  - used: Map of command name to Array of CommandUseObj where that command was used, each with extra "filename"
+ *
+ * Calls made by a command to itself (i.e. recursion) are not counted as usage.
+ */
+function buildCommandInventory(results) {
+  const added = new Map();
+  const used = new Map();
+
+  for (const [filename, result] of Object.entries(results)) {
+    (result.added || []).forEach((cmd) => {
+      appendToMap(added, cmd.name, { filename, ...cmd });
+    });
+  }
+
+  for (const [filename, result] of Object.entries(results)) {
+    (result.used || []).forEach((cmd) => {
+      const isRecursive = (added.get(cmd.name) || []).some((def) => {
+        return def.filename === filename && def.start <= cmd.start && cmd.end <= def.end;
+      });
+      if (!isRecursive) {
+        appendToMap(used, cmd.name, { filename, ...cmd });
+      }
+    });
+  }
+
+  return { added, used };
+}
+
+/**
+ * Returns Array of { name, definitions } for commands that were added but never used, sorted by name.
+ */
+function findUnusedCommands(inventory) {
+  return Array.from(inventory.added.keys())
+    .filter((name) => !inventory.used.has(name))
+    .sort()
+    .map((name) => ({ name, definitions: inventory.added.get(name) }));
+}
+
+/**
+ * Returns Array of { name, usages } for commands that were used but never added, sorted by name. Built-in Cypress
+ * commands and those in the optional allowlist are excluded.
+ */
+function findUndefinedCommands(inventory, allowlist = []) {
+  const allowed = new Set([...CYPRESS_BUILTIN_COMMANDS, ...allowlist]);
+  return Array.from(inventory.used.keys())
+    .filter((name) => !inventory.added.has(name) && !allowed.has(name))
+    .sort()
+    .map((name) => ({ name, usages: inventory.used.get(name) }));
+}
+
+/**
+ * Returns Array of { name, definitions } for commands that were added more than once, sorted by name.
+ */
+function findDuplicateCommands(inventory) {
+  return Array.from(inventory.added.keys())
+    .filter((name) => inventory.added.get(name).length > 1)
+    .sort()
+    .map((name) => ({ name, definitions: inventory.added.get(name) }));
+}
+
+function appendToMap(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(value);
+}
+
+module.exports = {
+  CYPRESS_BUILTIN_COMMANDS,
+  buildCommandInventory,
+  findUnusedCommands,
+  findUndefinedCommands,
+  findDuplicateCommands,
+}
@@ -0,0 +1,294 @@
+const path = require("path");
+const walk = require("acorn-walk");
+const { parseCallee, isDescribeIdentifier, isSkip, isOnly, walkBase, findImpureDescribeCalls
+} = require('./parseUtils');
+const { buildCommandInventory, findUndefinedCommands } = require('./inventory');
+const { mapCharOffsetToLineno } = require('./utils');
+
+const SEVERITIES = ["off", "warn", "error"];
+const DISABLE_NEXT_LINE_RE = /^\s*scryo-disable-next-line(?:\s+(.*?))?\s*$/;
+
+/**
+ * Lint rules. Each rule has:
+ *  - description: String
+ *  - severity: default severity, "off", "warn" or "error"
+ *  - file?: function (ast, options) returning Array of { start, end, message } for a parsed file
+ *  - project?: function (results, options) returning Array of { filename, start, end, message }, given an object
+ *              mapping filename to findCyStuff() output
+ *
+ * options are rule options from config, e.g. "no-unknown-command": ["error", { allow: ["realClick"] }]. pure-describe
+ * accepts "allow" too, with prefixes of calls to allow, e.g. test factories. no-duplicate-test-titles accepts
+ * "acrossFiles" (default true), which can be set to false to only compare tests within each file.
+ */
+const RULES = {
+  "no-focused-tests": {
+    description: "Disallow .only on tests and describes, which skips every other test",
+    severity: "error",
+    project: (results) => findScopes(results, (s) => isOnly(s.func)).map(({ filename, scope }) => ({
+      filename,
+      start: scope.start,
+      end: scope.end,
+      message: `Unexpected focused ${scope.func}("${scope.name}")`,
+    })),
+  },
+  "no-skipped-tests": {
+    description: "Disallow .skip on tests and describes",
+    severity: "warn",
+    project: (results) => findScopes(results, (s) => isSkip(s.func)).map(({ filename, scope }) => ({
+      filename,
+      start: scope.start,
+      end: scope.end,
+      message: `Unexpected skipped ${scope.func}("${scope.name}")`,
+    })),
+  },
+  "pure-describe": {
+    description: "Only allow tests, describes and hooks (or loops declaring them) directly within a describe",
+    severity: "warn",
+    file: (ast, { allow = [] }) => {
+      const issues = [];
+      walk.simple(ast, {
+        CallExpression(node) {
+          const dottedName = parseCallee(node);
+          if (dottedName && isDescribeIdentifier(dottedName)) {
+            const isAllowed = (name) => allow.some((prefix) => name.startsWith(prefix));
+            findImpureDescribeCalls(node, isAllowed).forEach((found) => {
+              issues.push({
+                start: found.node.start,
+                end: found.node.end,
+                message: `'${dottedName}' should only call tests or hooks. Found '${found.name}'`,
+              });
+            });
+          }
+        },
+      }, walkBase);
+      return issues;
+    },
+  },
+  "no-duplicate-test-titles": {
+    description: "Disallow tests with the same full title, in the same file or in different files",
+    severity: "error",
+    project: (results, { acrossFiles = true }) => {
+      const firstInFile = new Map();
+      const firstInProject = new Map();
+      return Object.entries(results).flatMap(([filename, result]) => {
+        // dynamic titles are only known at runtime, so cannot be compared
+        return (result.tests || []).filter((test) => !test.dynamicTitle).flatMap((test) => {
+          const title = test.fullTitle;
+          const fileKey = JSON.stringify([filename, title]);
+          const first = firstInFile.get(fileKey);
+          const other = acrossFiles && firstInProject.get(title);
+          if (!first) {
+            firstInFile.set(fileKey, test);
+          }
+          if (!firstInProject.has(title)) {
+            firstInProject.set(title, { filename, test });
+          }
+          let message;
+          if (first) {
+            const line = mapCharOffsetToLineno(filename, first.start).line;
+            message = `Duplicate test title "${title}" (first at line ${line})`;
+          } else if (other) {
+            const line = mapCharOffsetToLineno(other.filename, other.test.start).line;
+            message = `Duplicate test title "${title}" (also in ${other.filename}:${line})`;
+          } else {
+            return [];
+          }
+          return [{ filename, start: test.start, end: test.end, message }];
+        });
+      });
+    },
+  },
+  "no-unknown-command": {
+    description: "Disallow cy commands that are neither built-in nor defined with Cypress.Commands.add",
+    severity: "error",
+    project: (results, { allow = [] }) => {
+      return findUndefinedCommands(buildCommandInventory(results), allow).flatMap((issue) => {
+        return issue.usages.map(({ filename, start, end }) => ({
+          filename,
+          start,
+          end,
+          message: `Unknown command cy.${issue.name}()`,
+        }));
+      });
+    },
+  },
+};
+
+/**
+ * Returns { severity, options } for each rule, given "rules" from config where each entry is a severity or
+ * [severity, options], e.g. { "no-skipped-tests": "off", "no-unknown-command": ["error", { allow: ["realClick"] }] }.
+ * Throws if a rule or severity is unknown.
+ */
+function resolveRuleConfig(rulesConfig = {}) {
+  for (const name of Object.keys(rulesConfig)) {
+    if (!RULES[name]) {
+      throw new Error(`Unknown lint rule "${name}". Expecting one of ${Object.keys(RULES).join(", ")}`);
+    }
+  }
+  return Object.fromEntries(Object.entries(RULES).map(([name, rule]) => {
+    const [severity, options = {}] = [].concat(rulesConfig[name] || rule.severity);
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown severity "${severity}" for lint rule "${name}". Expecting ${SEVERITIES.join(", ")}`);
+    }
+    return [name, { severity, options }];
+  }));
+}
+
+/**
+ * Returns an extension (see loadExtension in extensions.js) that runs file-level lint rules and collects
+ * scryo-disable-next-line comments, adding them to the output of each file as "lint". Pass it to findCyStuff() or
+ * parseFiles() before calling lintResults().
+ */
+function lintExtension(ruleConfig) {
+  return {
+    name: "lint",
+    parseFile(ast) {
+      if (!ast) {
+        return { lint: { issues: [], suppressions: [] } };
+      }
+      const issues = Object.entries(RULES)
+        .filter(([name, rule]) => rule.file && ruleConfig[name].severity !== "off")
+        .flatMap(([name, rule]) => rule.file(ast, ruleConfig[name].options).map((issue) => ({ rule: name, ...issue })));
+      const suppressions = (ast.comments || []).flatMap((comment) => {
+        const match = comment.type === "Line" && comment.value.match(DISABLE_NEXT_LINE_RE);
+        if (!match) {
+          return [];
+        }
+        const rules = match[1] ? match[1].split(/[\s,]+/).filter(Boolean) : [];
+        return [{ line: comment.loc.end.line + 1, rules }];
+      });
+      return { lint: { issues, suppressions } };
+    },
+  };
+}
+
+/**
+ * Runs project-level lint rules on results (which must have been parsed with lintExtension) and returns all issues
+ * that are not suppressed, sorted by filename and position. Each issue is
+ * { rule, severity, filename, start, end, line, column, endLine, endColumn, message }.
+ */
+function lintResults(results, ruleConfig) {
+  const issues = [];
+  for (const [filename, result] of Object.entries(results)) {
+    ((result.lint || {}).issues || []).forEach((issue) => issues.push({ filename, ...issue }));
+  }
+  Object.entries(RULES)
+    .filter(([name, rule]) => rule.project && ruleConfig[name].severity !== "off")
+    .forEach(([name, rule]) => {
+      rule.project(results, ruleConfig[name].options).forEach((issue) => issues.push({ rule: name, ...issue }));
+    });
+
+  return issues
+    .map((issue) => {
+      const start = mapCharOffsetToLineno(issue.filename, issue.start);
+      const end = mapCharOffsetToLineno(issue.filename, issue.end);
+      return {
+        rule: issue.rule,
+        severity: ruleConfig[issue.rule].severity,
+        filename: issue.filename,
+        start: issue.start,
+        end: issue.end,
+        line: start.line,
+        column: start.col,
+        endLine: end ? end.line : start.line,
+        endColumn: end ? end.col : start.col,
+        message: issue.message,
+      };
+    })
+    .filter((issue) => {
+      const suppressions = (results[issue.filename].lint || {}).suppressions || [];
+      return !suppressions.some((s) => s.line === issue.line && (!s.rules.length || s.rules.includes(issue.rule)));
+    })
+    .sort((a, b) => a.filename.localeCompare(b.filename) || a.start - b.start || a.rule.localeCompare(b.rule));
+}
+
+/**
+ * Renders issues like ESLint's "stylish" formatter
+ */
+function renderStylish(issues) {
+  if (!issues.length) {
+    return "";
+  }
+  const lines = [];
+  Array.from(new Set(issues.map((i) => i.filename))).forEach((filename) => {
+    lines.push(path.resolve(filename));
+    issues.filter((i) => i.filename === filename).forEach((i) => {
+      const severity = i.severity === "error" ? "error" : "warning";
+      lines.push(`  ${`${i.line}:${i.column}`.padEnd(8)} ${severity.padEnd(8)} ${i.message}  ${i.rule}`);
+    });
+    lines.push("");
+  });
+  const errors = issues.filter((i) => i.severity === "error").length;
+  const warnings = issues.length - errors;
+  lines.push(`${errors ? "✖" : "⚠"} ${issues.length} problem(s) (${errors} error(s), ${warnings} warning(s))`);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Renders issues as SARIF 2.1.0, e.g. for GitHub code scanning. File paths are made relative to cwd.
+ */
+function renderSarif(issues, ruleConfig, { name, version, cwd = process.cwd() }) {
+  const ruleIds = Object.keys(RULES);
+  return JSON.stringify({
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name,
+          version,
+          rules: ruleIds.map((id) => ({
+            id,
+            shortDescription: { text: RULES[id].description },
+            defaultConfiguration: { level: sarifLevel(ruleConfig[id].severity) },
+          })),
+        },
+      },
+      results: issues.map((issue) => ({
+        ruleId: issue.rule,
+        ruleIndex: ruleIds.indexOf(issue.rule),
+        level: sarifLevel(issue.severity),
+        message: { text: issue.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: path.relative(cwd, path.resolve(issue.filename)).split(path.sep).join("/") },
+            region: {
+              startLine: issue.line,
+              startColumn: issue.column,
+              endLine: issue.endLine,
+              endColumn: issue.endColumn,
+            },
+          },
+        }],
+      })),
+    }],
+  }, null, 2);
+}
+
+function sarifLevel(severity) {
+  return { off: "none", warn: "warning", error: "error" }[severity];
+}
+
+/**
+ * Returns Array of { filename, scope } for each describe() and it() scope matching predicate, once per scope
+ */
+function findScopes(results, predicate) {
+  return Object.entries(results).flatMap(([filename, result]) => {
+    const hooks = Object.values(result.hooks || {}).flat();
+    const scopes = new Map();
+    (result.tests || []).concat(hooks).forEach((obj) => {
+      obj.scope.filter(predicate).forEach((scope) => scopes.set(scope.start, scope));
+    });
+    return Array.from(scopes.values()).sort((a, b) => a.start - b.start).map((scope) => ({ filename, scope }));
+  });
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  resolveRuleConfig,
+  lintExtension,
+  lintResults,
+  renderStylish,
+  renderSarif,
+}
@@ -1,7 +1,74 @@
+const walk = require('acorn-walk');
 const { interleaveArray } = require('./utils');
 const assert = require('assert').strict;
 
-const SUPPORTED_HOOKS = new Set(["before", "beforeEach", "after", "afterEach"]);
+// default names of functions that declare tests, suites and hooks, which config can override (see configureIdentifiers)
+const DEFAULT_TEST_FUNCTIONS = Object.freeze(["it", "specify"]);
+const DEFAULT_DESCRIBE_FUNCTIONS = Object.freeze(["describe", "context"]);
+const DEFAULT_HOOK_FUNCTIONS = Object.freeze(["before", "beforeEach", "after", "afterEach"]);
+
+const SUPPORTED_HOOKS = new Set(DEFAULT_HOOK_FUNCTIONS);
+const TEST_FUNCTIONS = new Set(DEFAULT_TEST_FUNCTIONS);
+const DESCRIBE_FUNCTIONS = new Set(DEFAULT_DESCRIBE_FUNCTIONS);
+// array methods whose callback is called once per item, so tests declared in it are data-driven
+const LOOP_METHODS = new Set(["forEach", "map"]);
+
+// TS nodes that wrap a runtime expression, e.g. `x as Foo`, `x!`, `<Foo>x`, `fn<Foo>`
+const TS_EXPRESSION_WRAPPERS = new Set([
+  "TSAsExpression",
+  "TSNonNullExpression",
+  "TSTypeAssertion",
+  "TSInstantiationExpression",
+]);
+
+/**
+ * acorn-walk base visitor extended to cope with TypeScript and JSX nodes.
+ *
+ * Nodes that carry runtime code (type assertions, JSX expression containers, non-ambient namespaces, ...) are walked
+ * through. Anything else that is TS-specific is type-only, so is skipped along with its children.
+ */
+const walkBase = new Proxy(Object.assign(Object.create(walk.base), {
+  ...Object.fromEntries(Array.from(TS_EXPRESSION_WRAPPERS).map((type) => [
+    type, (node, st, c) => c(node.expression, st, "Expression"),
+  ])),
+  TSParameterProperty: (node, st, c) => c(node.parameter, st, "Pattern"),
+  TSExportAssignment: (node, st, c) => c(node.expression, st, "Expression"),
+  TSModuleDeclaration: (node, st, c) => {
+    if (node.body && !node.declare) {
+      c(node.body, st);
+    }
+  },
+  TSModuleBlock: (node, st, c) => node.body.forEach((stmt) => c(stmt, st, "Statement")),
+  JSXElement: (node, st, c) => {
+    node.openingElement.attributes.forEach((attr) => c(attr, st));
+    node.children.forEach((child) => c(child, st));
+  },
+  JSXFragment: (node, st, c) => node.children.forEach((child) => c(child, st)),
+  JSXAttribute: (node, st, c) => {
+    if (node.value) {
+      c(node.value, st);
+    }
+  },
+  JSXSpreadAttribute: (node, st, c) => c(node.argument, st, "Expression"),
+  JSXExpressionContainer: (node, st, c) => c(node.expression, st),
+  JSXSpreadChild: (node, st, c) => c(node.expression, st, "Expression"),
+  JSXEmptyExpression: () => {},
+  JSXText: () => {},
+}), {
+  get(target, type) {
+    if (type in target || typeof type !== "string" || !type.startsWith("TS")) {
+      return target[type];
+    }
+    return () => {};  // type-only node e.g. TSInterfaceDeclaration, TSTypeAliasDeclaration, TSDeclareFunction
+  },
+});
+
+function unwrapTSExpression(node) {
+  while (node && TS_EXPRESSION_WRAPPERS.has(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
 
 function IgnoreMe(node) {
   this.node = node;
@@ -34,6 +101,9 @@ function parseCallee(node) {
         return _traverse(_node.callee) + '()';
       case 'ThisExpression':
         return 'this';
+      case 'TSNonNullExpression':  // e.g. cy.get(...)!.click()
+      case 'TSAsExpression':  // e.g. (cy as any).foo()
+        return _traverse(_node.expression);
       default:
         /**
          * calls could be chained to many other types, e.g.:
@@ -50,39 +120,406 @@ function parseCallee(node) {
   }
 }
 
-function maybeGetLiteralValue(node) {
-  if (node.type === 'Literal') {
-    return node.value;
-  } else if (node.type === 'ObjectExpression') {
-    // Try to see if all values can be mapped to literals
-    // WARN: this would probably go brrrrr if object has cyclic references
-    const output = {};
-    for (let i = 0; i < node.properties.length; i++) {
-      let prop = node.properties[i];
-      let key = getPropertyKey(prop);
-      if (!key) {
-        return undefined;
+// returned by evaluators for expressions whose value cannot be statically determined
+const UNRESOLVED = Symbol("unresolved");
+
+function collectModuleScope(programNode) {
+  /**
+   * Returns what a module (Program node, or null) declares, imports and exports at its top level:
+   *  - declarations: Map of names to the init node of module-level consts (other than require() calls), or the
+   *    function or class declaration. Anonymous default exports are declared as "default".
+   *  - imports: Map of local names to { source, imported }, where imported is the imported name ("default" for default
+   *    imports) or null for the whole module, e.g. `import * as x` or `const x = require(...)`
+   *  - exports: Map of ES exported names to { local } (name of what is exported) or { source, imported } for re-exports
+   *  - commonJS: Map of CommonJS export targets to the node assigned, i.e. "module.exports" for `module.exports = ...`
+   *    and "module.exports.x" for `module.exports.x = ...` or `exports.x = ...`
+   */
+  const output = { declarations: new Map(), imports: new Map(), exports: new Map(), commonJS: new Map() };
+  if (!programNode) {
+    return output;
+  }
+
+  const requireSource = (node) => {
+    node = node && unwrapTSExpression(node);
+    const isRequire = node && node.type === "CallExpression" && node.callee.type === "Identifier"
+      && node.callee.name === "require" && node.arguments.length === 1 && node.arguments[0].type === "Literal"
+      && typeof node.arguments[0].value === "string";
+    return isRequire ? node.arguments[0].value : undefined;
+  };
+  const declare = (stmt) => {
+    // Returns names declared by a module-level statement
+    if (["FunctionDeclaration", "ClassDeclaration"].includes(stmt.type) && stmt.id) {
+      output.declarations.set(stmt.id.name, stmt);
+      return [stmt.id.name];
+    } else if (stmt.type !== "VariableDeclaration") {
+      return [];
+    }
+    return stmt.declarations.flatMap((decl) => {
+      const source = requireSource(decl.init);
+      if (decl.id.type === "Identifier" && source !== undefined) {
+        output.imports.set(decl.id.name, { source, imported: null });
+      } else if (decl.id.type === "ObjectPattern" && source !== undefined) {
+        // const { a, b: c } = require("./x")
+        return decl.id.properties
+          .filter((p) => p.type === "Property" && !p.computed && p.value.type === "Identifier")
+          .map((p) => {
+            output.imports.set(p.value.name, { source, imported: getPropertyKey(p) });
+            return p.value.name;
+          });
+      } else if (decl.id.type === "Identifier" && decl.init && stmt.kind === "const") {
+        output.declarations.set(decl.id.name, decl.init);
+      }
+      return decl.id.type === "Identifier" ? [decl.id.name] : [];
+    });
+  };
+
+  programNode.body.forEach((stmt) => {
+    if (stmt.type === "ImportDeclaration" && stmt.importKind !== "type") {
+      stmt.specifiers.forEach((spec) => {
+        output.imports.set(spec.local.name, {
+          source: stmt.source.value,
+          imported: {
+            ImportSpecifier: () => spec.imported.name || spec.imported.value,
+            ImportDefaultSpecifier: () => "default",
+            ImportNamespaceSpecifier: () => null,
+          }[spec.type](),
+        });
+      });
+    } else if (stmt.type === "ExportNamedDeclaration") {
+      if (stmt.declaration) {
+        declare(stmt.declaration).forEach((name) => output.exports.set(name, { local: name }));
       }
-      let value = maybeGetLiteralValue(prop.value);
-      if (!value) {
-        return undefined;
+      stmt.specifiers.forEach((spec) => {
+        const local = spec.local.name || spec.local.value;
+        output.exports.set(spec.exported.name || spec.exported.value, stmt.source
+          ? { source: stmt.source.value, imported: local }
+          : { local });
+      });
+    } else if (stmt.type === "ExportDefaultDeclaration") {
+      if (stmt.declaration.id) {
+        declare(stmt.declaration);
+        output.exports.set("default", { local: stmt.declaration.id.name });
+      } else {
+        output.declarations.set("default", stmt.declaration);
+        output.exports.set("default", { local: "default" });
       }
-      output[key] = value;
+    } else if (stmt.type === "ExpressionStatement" && stmt.expression.type === "AssignmentExpression"
+      && stmt.expression.operator === "=") {
+      // CommonJS exports, i.e. module.exports = ..., module.exports.x = ... or exports.x = ...
+      const target = getDottedName(stmt.expression.left);
+      if (target && /^(module\.exports|(module\.)?exports\.[^.]+)$/.test(target)) {
+        output.commonJS.set(target.replace(/^exports\./, "module.exports."), stmt.expression.right);
+      }
+    } else {
+      declare(stmt);
     }
-    return output;
-  } else if (node.type === 'ArrayExpression') {
-    const output = [];
-    for (let i = 0; i < node.elements.length; i++) {
-      let value = maybeGetLiteralValue(node.elements[i]);
-      if (!value) {
-        return undefined;
+  });
+  return output;
+}
+
+function createEvaluator(programNode, { resolveImport } = {}) {
+  /**
+   * Returns a static evaluator for expressions within the given Program node (which may be null), with:
+   *  - evaluate(node, bindings?): value of an expression made of literals, template literals, string concatenation,
+   *    unary -, + and !, arrays and objects (including spread), member access and references to module-level consts
+   *    or imported consts. Returns UNRESOLVED if the value cannot be statically determined. bindings is an optional Map
+   *    of names to values that take precedence, e.g. loop variables.
+   *  - exported(name): value the module exports as name (use "default" for default exports), or UNRESOLVED
+   *  - namespace(): object with every statically evaluated export, e.g. for `import * as x` or `require()`
+   *  - bindPattern(pattern, value, bindings?): returns bindings (a new Map if not given) with the names declared by a
+   *    param or destructuring pattern bound to the matching parts of value, e.g. for callback params
+   *  - withBindings(bindings): returns an evaluator with the given bindings applied to every evaluation
+   *
+   * resolveImport(source), if given, should return the evaluator for the module imported as source, or undefined if it
+   * is not available. References to names declared within a function or block (e.g. params or local variables) are
+   * never resolved unless given in bindings.
+   */
+  const isProgram = programNode && programNode.type === "Program";
+  const { declarations, imports, exports, commonJS } = collectModuleScope(isProgram ? programNode : null);
+  const localNames = new Map();  // name -> Array of [start, end] of scopes where it is declared
+  const values = new Map();
+  const resolving = new Set();
+  const moduleExportsNode = commonJS.get("module.exports");
+
+  if (isProgram) {
+    _collectLocalNames();
+  }
+
+  const api = { evaluate, exported, namespace, bindPattern, withBindings };
+  return api;
+
+  function evaluate(node, bindings = new Map()) {
+    node = unwrapTSExpression(node);
+    switch (node.type) {
+      case "Literal":
+        return node.value === null && node.regex ? UNRESOLVED : node.value;  // null if RegExp flags are unsupported
+      case "TemplateLiteral": {
+        const parts = node.expressions.map((e) => evaluate(e, bindings));
+        if (!parts.every(_isPrimitive)) {
+          return UNRESOLVED;
+        }
+        return interleaveArray(node.quasis.map((q) => q.value.cooked), parts.map(String)).join("");
+      }
+      case "UnaryExpression": {
+        const value = evaluate(node.argument, bindings);
+        if (!_isPrimitive(value) || !["-", "+", "!"].includes(node.operator)) {
+          return UNRESOLVED;
+        }
+        return { "-": () => -value, "+": () => +value, "!": () => !value }[node.operator]();
+      }
+      case "BinaryExpression": {
+        const left = evaluate(node.left, bindings);
+        const right = evaluate(node.right, bindings);
+        return (node.operator === "+" && _isPrimitive(left) && _isPrimitive(right)) ? left + right : UNRESOLVED;
+      }
+      case "ArrayExpression": {
+        const output = [];
+        for (const element of node.elements) {
+          if (!element) {
+            return UNRESOLVED;  // hole, e.g. [1, , 3]
+          }
+          const isSpread = element.type === "SpreadElement";
+          const value = evaluate(isSpread ? element.argument : element, bindings);
+          if (value === UNRESOLVED || (isSpread && !Array.isArray(value))) {
+            return UNRESOLVED;
+          }
+          isSpread ? output.push(...value) : output.push(value);
+        }
+        return output;
+      }
+      case "ObjectExpression": {
+        const output = {};
+        for (const prop of node.properties) {
+          if (prop.type === "SpreadElement") {
+            const value = evaluate(prop.argument, bindings);
+            if (value === UNRESOLVED || value === null || typeof value !== "object") {
+              return UNRESOLVED;
+            }
+            Object.assign(output, value);
+            continue;
+          }
+          const key = prop.computed ? evaluate(prop.key, bindings) : getPropertyKey(prop);
+          const value = (prop.kind === "init" && !prop.method) ? evaluate(prop.value, bindings) : UNRESOLVED;
+          if (key === UNRESOLVED || key === undefined || value === UNRESOLVED) {
+            return UNRESOLVED;
+          }
+          output[key] = value;
+        }
+        return output;
+      }
+      case "Identifier":
+        if (bindings.has(node.name)) {
+          return bindings.get(node.name);
+        } else if (_isShadowed(node)) {
+          return UNRESOLVED;
+        } else if (node.name === "undefined") {
+          return undefined;
+        }
+        return _resolveName(node.name);
+      case "MemberExpression": {
+        const object = evaluate(node.object, bindings);
+        const key = node.computed ? evaluate(node.property, bindings) : node.property.name;
+        if (object === UNRESOLVED || key === UNRESOLVED) {
+          return UNRESOLVED;
+        } else if ((object === null || object === undefined) && node.optional) {
+          return undefined;
+        } else if ((typeof object === "string" || Array.isArray(object)) && key === "length") {
+          return object.length;
+        } else if (object !== null && typeof object === "object" && !(object instanceof RegExp)) {
+          return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+        }
+        return UNRESOLVED;
+      }
+      case "ChainExpression":
+        return evaluate(node.expression, bindings);
+      default:
+        return UNRESOLVED;
+    }
+  }
+
+  function exported(name) {
+    const exp = exports.get(name);
+    if (exp) {
+      return exp.local ? _resolveName(exp.local) : _resolveImported(exp);
+    } else if (commonJS.has(`module.exports.${name}`)) {
+      return evaluate(commonJS.get(`module.exports.${name}`));
+    } else if (moduleExportsNode) {
+      // CommonJS module, also for default imports of it
+      const value = evaluate(moduleExportsNode);
+      if (name === "default" || value === UNRESOLVED) {
+        return value;
+      }
+      return (value !== null && typeof value === "object" && Object.prototype.hasOwnProperty.call(value, name))
+        ? value[name]
+        : UNRESOLVED;
+    }
+    return UNRESOLVED;
+  }
+
+  function namespace() {
+    if (moduleExportsNode) {
+      return evaluate(moduleExportsNode);
+    }
+    const output = {};
+    const cjsNames = Array.from(commonJS.keys()).map((target) => target.split(".").at(-1));
+    for (const name of new Set([...exports.keys(), ...cjsNames])) {
+      const value = exported(name);
+      if (value !== UNRESOLVED) {
+        output[name] = value;
       }
-      output.push(value);
     }
     return output;
   }
 
-  return undefined;
+  function bindPattern(pattern, value, bindings = new Map()) {
+    // binds names in a param or destructuring pattern to parts of value, or to UNRESOLVED where they are unknown
+    const isObject = value !== UNRESOLVED && value !== null && typeof value === "object";
+    switch (pattern.type) {
+      case "Identifier":
+        bindings.set(pattern.name, value);
+        break;
+      case "AssignmentPattern":
+        bindPattern(pattern.left, value === undefined ? evaluate(pattern.right, bindings) : value, bindings);
+        break;
+      case "ArrayPattern":
+        pattern.elements.forEach((element, i) => {
+          if (element && element.type === "RestElement") {
+            bindPattern(element.argument, Array.isArray(value) ? value.slice(i) : UNRESOLVED, bindings);
+          } else if (element) {
+            bindPattern(element, Array.isArray(value) ? value[i] : UNRESOLVED, bindings);
+          }
+        });
+        break;
+      case "ObjectPattern": {
+        const used = [];
+        pattern.properties.forEach((prop) => {
+          if (prop.type === "RestElement") {
+            const rest = isObject && Object.fromEntries(Object.entries(value).filter(([k]) => !used.includes(k)));
+            bindPattern(prop.argument, isObject ? rest : UNRESOLVED, bindings);
+            return;
+          }
+          const key = prop.computed ? evaluate(prop.key, bindings) : getPropertyKey(prop);
+          used.push(String(key));
+          if (!isObject || key === UNRESOLVED || key === undefined) {
+            bindPattern(prop.value, UNRESOLVED, bindings);
+          } else {
+            const hasKey = Object.prototype.hasOwnProperty.call(value, key);
+            bindPattern(prop.value, hasKey ? value[key] : undefined, bindings);
+          }
+        });
+        break;
+      }
+      default:
+        _patternNames(pattern).forEach((name) => bindings.set(name, UNRESOLVED));
+    }
+    return bindings;
+  }
+
+  function withBindings(bindings) {
+    // Returns this evaluator with names in bindings (a Map) bound to the given values, e.g. loop variables
+    return {
+      ...api,
+      evaluate: (node, more = new Map()) => evaluate(node, new Map([...bindings, ...more])),
+      withBindings: (more) => withBindings(new Map([...bindings, ...more])),
+    };
+  }
+
+  function _isPrimitive(value) {
+    return value !== UNRESOLVED && (value === null || typeof value !== "object");
+  }
+
+  function _resolveName(name) {
+    if (values.has(name)) {
+      return values.get(name);
+    }
+    if (resolving.has(name)) {
+      return UNRESOLVED;  // circular reference
+    }
+    resolving.add(name);
+    let value = UNRESOLVED;
+    if (declarations.has(name)) {
+      value = evaluate(declarations.get(name));
+    } else if (imports.has(name)) {
+      value = _resolveImported(imports.get(name));
+    }
+    resolving.delete(name);
+    values.set(name, value);
+    return value;
+  }
+
+  function _resolveImported({ source, imported }) {
+    const other = resolveImport && resolveImport(source);
+    if (!other) {
+      return UNRESOLVED;
+    }
+    return imported === null ? other.namespace() : other.exported(imported);
+  }
+
+  function _collectLocalNames() {
+    // names declared other than at module level, with the ranges of the scopes they shadow module-level names in
+    const moduleLevel = new Set(programNode.body.flatMap((stmt) => {
+      return stmt.type === "ExportNamedDeclaration" ? [stmt, stmt.declaration] : [stmt];
+    }));
+    const declare = (names, scopeNode) => names.forEach((name) => {
+      localNames.set(name, (localNames.get(name) || []).concat([[scopeNode.start, scopeNode.end]]));
+    });
+    const enclosingScope = (ancestors, isScope) => ancestors.slice(0, -1).reverse().find(isScope) || programNode;
+    const isFunction = (n) => nodeIsFunction(n) || n.type === "FunctionDeclaration";
+    const isBlockScope = (n) => isFunction(n) || ["BlockStatement", "ForStatement", "ForInStatement",
+      "ForOfStatement", "SwitchStatement", "CatchClause", "StaticBlock"].includes(n.type);
+
+    walk.fullAncestor(programNode, (node, _, ancestors) => {
+      if (isFunction(node)) {
+        declare(node.params.flatMap(_patternNames), node);
+        if (node.id && !moduleLevel.has(node)) {
+          declare([node.id.name], node.type === "FunctionDeclaration" ? enclosingScope(ancestors, isBlockScope) : node);
+        }
+      } else if (node.type === "VariableDeclaration" && !moduleLevel.has(node)) {
+        const scope = enclosingScope(ancestors, node.kind === "var" ? isFunction : isBlockScope);
+        declare(node.declarations.flatMap((decl) => _patternNames(decl.id)), scope);
+      } else if (node.type === "CatchClause" && node.param) {
+        declare(_patternNames(node.param), node);
+      } else if (node.type === "ClassDeclaration" && node.id && !moduleLevel.has(node)) {
+        declare([node.id.name], enclosingScope(ancestors, isBlockScope));
+      }
+    }, walkBase);
+  }
+
+  function _isShadowed(identifierNode) {
+    return (localNames.get(identifierNode.name) || []).some(([start, end]) => {
+      return identifierNode.start >= start && identifierNode.start < end;
+    });
+  }
+
+  function _patternNames(pattern) {
+    switch (pattern.type) {
+      case "Identifier":
+        return [pattern.name];
+      case "ObjectPattern":
+        return pattern.properties.flatMap((p) => _patternNames(p.type === "RestElement" ? p.argument : p.value));
+      case "ArrayPattern":
+        return pattern.elements.filter(Boolean).flatMap(_patternNames);
+      case "AssignmentPattern":
+        return _patternNames(pattern.left);
+      case "RestElement":
+        return _patternNames(pattern.argument);
+      case "TSParameterProperty":
+        return _patternNames(pattern.parameter);
+      default:
+        return [];
+    }
+  }
+}
+
+// evaluator without any module-level names, for when there is no Program node to hand
+const LITERAL_EVALUATOR = createEvaluator(null);
+
+function maybeGetLiteralValue(node, evaluator = LITERAL_EVALUATOR) {
+  /**
+   * Returns statically evaluated value of node (see createEvaluator), or undefined if it cannot be determined
+   */
+  const value = evaluator.evaluate(node);
+  return value === UNRESOLVED ? undefined : value;
 }
 
 function getPropertyKey(propNode) {
@@ -95,22 +532,331 @@ function getPropertyKey(propNode) {
   }
 }
 
-function inferTestName(testCallNode) {
+function inferTestName(testCallNode, evaluator = LITERAL_EVALUATOR) {
+  /**
+   * Returns title of a test or describe call. Parts that cannot be statically evaluated are rendered as placeholders,
+   * e.g. "logs in as ${role.name}".
+   */
   const node = testCallNode.arguments[0];
+  const value = evaluator.evaluate(node);
 
-  if (node.type === "Literal") {
-    return node.value;
+  if (node.type === "Literal" || typeof value === "string") {
+    return value === UNRESOLVED ? node.value : value;
   } else if (node.type === "TemplateLiteral") {
-    let expressions = node.expressions.map((i) => `\${${i.name}}`);
+    let expressions = node.expressions.map((e) => {
+      const part = evaluator.evaluate(e);
+      return (part === UNRESOLVED || (part !== null && typeof part === "object")) ? `\${${renderExpression(e)}}` : part;
+    });
     let quasis = node.quasis.map((q) => q.value.raw);
     return interleaveArray(quasis, expressions).join("");
-  } else if (node.type === "Identifier") {
-    return `\${${node.name}}`;
+  } else if (["Identifier", "MemberExpression"].includes(node.type)) {
+    return `\${${renderExpression(node)}}`;
   } else {
     return `[Unparseable: ${node.type}]`
   }
 }
 
+function isDynamicTestName(testCallNode, evaluator = LITERAL_EVALUATOR) {
+  /**
+   * Returns true if the title of a test or describe call cannot be statically evaluated to a string, i.e.
+   * inferTestName() could only render it with placeholders such as "${x}", so it is only known at runtime.
+   */
+  return typeof evaluator.evaluate(testCallNode.arguments[0]) !== "string";
+}
+
+function renderExpression(node) {
+  /**
+   * Returns short source-like representation of an expression for placeholders, e.g. "role.name" or "users[0]"
+   */
+  node = unwrapTSExpression(node);
+  switch (node.type) {
+    case "Identifier":
+      return node.name;
+    case "ThisExpression":
+      return "this";
+    case "Literal":
+      return JSON.stringify(node.value);
+    case "MemberExpression": {
+      const object = renderExpression(node.object);
+      if (!node.computed) {
+        return `${object}${node.optional ? "?." : "."}${node.property.name}`;
+      }
+      return `${object}${node.optional ? "?." : ""}[${renderExpression(node.property)}]`;
+    }
+    case "ChainExpression":
+      return renderExpression(node.expression);
+    case "CallExpression":
+      return `${renderExpression(node.callee)}(${node.arguments.length ? "..." : ""})`;
+    default:
+      return `[${node.type}]`;
+  }
+}
+
+function getTestConfig(callNode, evaluator = LITERAL_EVALUATOR) {
+  /**
+   * Returns { config, configStart, configEnd } for a test or describe call with a config object as its second argument,
+   * e.g. `it("name", { retries: 2, tags: ["@smoke"] }, () => {})`, or an empty object if there isn't one. config is
+   * only included if the object can be statically evaluated.
+   */
+  if (callNode.arguments.length < 3) {
+    return {};
+  }
+  const configNode = callNode.arguments[1];
+  const config = maybeGetLiteralValue(configNode, evaluator);
+  return {
+    ...(config !== undefined && { config }),
+    configStart: configNode.start,
+    configEnd: configNode.end,
+  };
+}
+
+function extractTags(name, config) {
+  /**
+   * Returns Array of @cypress/grep tags for a test or describe, taken from "tags" in its config object (a string or
+   * Array of strings) and from @tag tokens in its title, e.g. "logs in @smoke".
+   */
+  const fromConfig = [].concat((config && config.tags) || []).filter((tag) => typeof tag === "string");
+  const fromTitle = (typeof name === "string" && name.match(/(?<=^|\s)@[^\s,+]+/g)) || [];
+  return Array.from(new Set(fromConfig.concat(fromTitle)));
+}
+
+function findImpureDescribeCalls(describeNode, isAllowed = () => false) {
+  /**
+   * Returns Array of { name, node } for top-level call statements in the body of a describe() call that are not tests,
+   * describes or hooks, e.g. a stray cy.visit() that would run while Mocha collects tests rather than during a test.
+   * forEach() and map() loops whose callbacks only declare tests, describes or hooks are fine too.
+   * isAllowed(dottedName) may allow other calls. Returns an empty Array if the body is not a function block.
+   */
+  const implNode = describeNode.arguments.at(-1);
+  if (!implNode || !nodeIsFunction(implNode) || implNode.body.type !== "BlockStatement") {
+    return [];
+  }
+  return _findImpureCalls(implNode.body.body, isAllowed);
+}
+
+function _findImpureCalls(statements, isAllowed) {
+  // loops like `cases.forEach((c) => it(...))` are fine, as long as their callback only declares tests or hooks too
+  const isPureLoop = (callNode) => {
+    const callee = unwrapTSExpression(callNode.callee);
+    const callback = callNode.arguments[0];
+    if (callee.type !== "MemberExpression" || callee.computed || !LOOP_METHODS.has(callee.property.name)
+      || !callback || !nodeIsFunction(callback)) {
+      return false;
+    }
+    const body = callback.body.type === "BlockStatement"
+      ? callback.body.body
+      : [{ type: "ExpressionStatement", expression: callback.body }];
+    return !_findImpureCalls(body, isAllowed).length;
+  };
+  return statements
+    .filter((n) => n.type === "ExpressionStatement" && n.expression.type === "CallExpression")
+    .map((n) => ({ name: parseCallee(n.expression), node: n }))
+    .filter(({ name, node }) => {
+      // ignore calls without name identifiers e.g. [].push(...)
+      return name && !isTestOrDescribeIdentifier(name) && !SUPPORTED_HOOKS.has(name) && !isAllowed(name)
+        && !isPureLoop(node.expression);
+    });
+}
+
+function findModuleDefinitions(ast) {
+  /**
+   * Returns what a module defines, imports and exports at its top level, to resolve calls to helper functions and page
+   * objects across files. Things are named by their dotted path from a module-level name, e.g. "setupUser",
+   * "loginPage.fillForm" (method of an object literal), "LoginPage.prototype.fillForm" (class method) or
+   * "LoginPage.create" (static method). Returns:
+   *  - functions: Array of { name, node } for each function that can be called by name
+   *  - references: object mapping paths to the path they refer to, e.g. { loginPage: "LoginPage.prototype" } for
+   *                `const loginPage = new LoginPage()`, or { "pages.login": "loginPage" } for
+   *                `const pages = { login: loginPage }`
+   *  - imports: object mapping local names to { source, imported }, where imported is the imported name ("default"
+   *             for default imports) or null for the whole module, e.g. `import * as x` or `const x = require(...)`
+   *  - exports: object mapping exported names to { local } (path of what is exported) or { source, imported } for
+   *             re-exports. Whatever is assigned to module.exports is exported as "default".
+   *  - commonJS: true if the module assigns to module.exports or exports, so require() returns its default export
+   */
+  const output = { functions: [], references: {}, imports: {}, exports: {}, commonJS: false };
+  if (!ast) {
+    return output;
+  }
+
+  const define = (name, node) => {
+    node = unwrapTSExpression(node);
+    if (nodeIsFunction(node) || node.type === "FunctionDeclaration") {
+      output.functions.push({ name, node });
+    } else if (node.type === "ObjectExpression") {
+      node.properties
+        .filter((p) => p.type === "Property" && !p.computed && getPropertyKey(p) !== undefined)
+        .forEach((p) => define(`${name}.${getPropertyKey(p)}`, p.value));
+    } else if (node.type === "ClassDeclaration" || node.type === "ClassExpression") {
+      node.body.body
+        .filter((m) => ["MethodDefinition", "PropertyDefinition"].includes(m.type) && !m.computed && m.value)
+        .filter((m) => m.type === "PropertyDefinition" || m.kind === "method")
+        .forEach((m) => {
+          const key = m.key.type === "Identifier" ? m.key.name : m.key.value;
+          define(m.static ? `${name}.${key}` : `${name}.prototype.${key}`, m.value);
+        });
+    } else if (node.type === "NewExpression" && getDottedName(node.callee)) {
+      output.references[name] = `${getDottedName(node.callee)}.prototype`;
+    } else if (getDottedName(node) && getDottedName(node) !== name) {
+      output.references[name] = getDottedName(node);
+    }
+  };
+
+  const { declarations, imports, exports, commonJS } = collectModuleScope(ast);
+  declarations.forEach((node, name) => define(name, node));
+  commonJS.forEach((node, target) => define(target, node));
+  output.functions.sort((a, b) => a.node.start - b.node.start);
+  output.imports = Object.fromEntries(imports);
+  output.exports = Object.fromEntries(exports);
+  if (commonJS.size) {
+    output.commonJS = true;
+    output.exports.default = { local: "module.exports" };
+  }
+  return output;
+}
+
+function getDottedName(node) {
+  /**
+   * Returns dotted name of an Identifier, `this` or chain of non-computed MemberExpressions, e.g. "module.exports.foo",
+   * or null for anything else
+   */
+  node = unwrapTSExpression(node);
+  if (node.type === "Identifier") {
+    return node.name;
+  } else if (node.type === "ThisExpression") {
+    return "this";
+  } else if (node.type === "MemberExpression" && !node.computed && node.property.type === "Identifier") {
+    const object = getDottedName(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  return null;
+}
+
+function findChainableDeclarations(ast) {
+  /**
+   * Returns members of `interface Chainable` declared within `namespace Cypress` (either at top level, or within
+   * `declare global { ... }`), i.e. the TypeScript declarations for custom Cypress commands. Each entry is:
+   *  - name: name of the declared command
+   *  - start, end: char offsets of the member declaration
+   *  - keyStart, keyEnd: char offsets of the member name
+   *  - interfaceStart, interfaceEnd: char offsets of the enclosing interface declaration
+   */
+  const found = [];
+  if (ast) {
+    _visitStatements(ast.body, false);
+  }
+  return found;
+
+  function _visitStatements(statements, inCypressNamespace) {
+    statements.forEach((stmt) => {
+      if (stmt.type === "ExportNamedDeclaration" && stmt.declaration) {
+        stmt = stmt.declaration;
+      }
+      if (stmt.type === "TSModuleDeclaration") {
+        _visitModule(stmt, inCypressNamespace);
+      } else if (inCypressNamespace && stmt.type === "TSInterfaceDeclaration" && stmt.id.name === "Chainable") {
+        stmt.body.body.forEach((member) => {
+          const name = member.key && !member.computed && (member.key.name || member.key.value);
+          if (name && ["TSMethodSignature", "TSPropertySignature"].includes(member.type)) {
+            found.push({
+              name,
+              start: member.start,
+              end: member.end,
+              keyStart: member.key.start,
+              keyEnd: member.key.end,
+              interfaceStart: stmt.start,
+              interfaceEnd: stmt.end,
+            });
+          }
+        });
+      }
+    });
+  }
+
+  function _visitModule(node, inCypressNamespace) {
+    const isCypress = inCypressNamespace || (node.id && node.id.name === "Cypress");
+    if (!node.body) {
+      return;
+    } else if (node.body.type === "TSModuleDeclaration") {  // e.g. namespace A.B { ... }
+      _visitModule(node.body, isCypress);
+    } else {
+      _visitStatements(node.body.body, isCypress);
+    }
+  }
+}
+
+function findLeadingComment(comments, node) {
+  /**
+   * Returns text of the JSDoc-style comment (i.e. /** ... *\/) immediately preceding the given node, with comment
+   * delimiters and leading "*" on each line stripped. Returns undefined if there isn't one.
+   *
+   * Requires comments to be collected during parsing (see parse() in parser.js), and nodes to have "loc".
+   */
+  const comment = comments.filter((c) => c.end <= node.start).at(-1);
+  if (!comment || comment.type !== "Block" || !comment.value.startsWith("*")) {
+    return undefined;
+  }
+  if (comment.loc.end.line < node.loc.start.line - 1) {
+    return undefined; // not immediately preceding node
+  }
+
+  const lines = comment.value
+    .slice(1)  // strip the extra "*" in "/**"
+    .split("\n")
+    .map((line) => line.replace(/^\s*(\* ?)?/, "").trimEnd());
+  while (lines.length && !lines[0].trim()) {
+    lines.shift();
+  }
+  while (lines.length && !lines.at(-1).trim()) {
+    lines.pop();
+  }
+  return lines.join("\n");
+}
+
+function getFunctionParams(funcNode) {
+  /**
+   * Returns info on each param of a function node, e.g. for `(a, b = 1, c?: string, ...d) => {}`. Each entry has:
+   *  - name: param name, or null if param is destructured e.g. ({ a, b }) => {}
+   *  - optional?: true if param is optional, i.e. has a default value or is declared optional in TypeScript
+   *  - rest?: true if rest param
+   *  - default?: default value, if it can be statically determined
+   *  - defaultStart, defaultEnd?: char offsets of default value expression
+   *  - typeStart, typeEnd?: char offsets of TypeScript type annotation (excluding ":")
+   */
+  return funcNode.params.map((param) => {
+    const info = {};
+    let typeAnnotation = param.typeAnnotation;
+
+    if (param.type === "RestElement") {
+      info.rest = true;
+      typeAnnotation = typeAnnotation || param.argument.typeAnnotation;
+      param = param.argument;
+    } else if (param.type === "AssignmentPattern") {
+      info.optional = true;
+      const value = maybeGetLiteralValue(param.right);
+      if (value !== undefined) {
+        info.default = value;
+      }
+      info.defaultStart = param.right.start;
+      info.defaultEnd = param.right.end;
+      typeAnnotation = typeAnnotation || param.left.typeAnnotation;
+      param = param.left;
+    } else if (param.optional) {
+      info.optional = true;
+    }
+
+    if (typeAnnotation) {
+      info.typeStart = typeAnnotation.typeAnnotation.start;
+      info.typeEnd = typeAnnotation.typeAnnotation.end;
+    }
+
+    return {
+      name: (param.type === "Identifier") ? param.name : null,
+      ...info,
+    };
+  });
+}
+
 function nodeIsFunction(node) {
   return ["FunctionExpression", "ArrowFunctionExpression"].includes(node.type);
 }
@@ -120,11 +866,32 @@ function isTestOrDescribeIdentifier(ident) {
 }
 
 function isTestIdentifier(ident) {
-  return ident === "it" || ident.startsWith("it.");
+  return TEST_FUNCTIONS.has(_withoutModifier(ident));
 }
 
 function isDescribeIdentifier(ident) {
-  return ident === "describe" || ident.startsWith("describe.");
+  return DESCRIBE_FUNCTIONS.has(_withoutModifier(ident));
+}
+
+function _withoutModifier(ident) {
+  // e.g. "it.skip" -> "it". Other members such as it.each() or context.wrap() are left alone, so they never match.
+  return ident.replace(/\.(skip|only)$/, "");
+}
+
+function configureIdentifiers({ testFunctions, describeFunctions, hookFunctions }) {
+  /**
+   * Sets names of functions recognised as tests, describes and hooks, falling back to the defaults for any not given,
+   * so calling it again replaces rather than builds on earlier config. The Sets are updated in place so modules that
+   * imported them see the change.
+   */
+  [
+    [TEST_FUNCTIONS, testFunctions || DEFAULT_TEST_FUNCTIONS],
+    [DESCRIBE_FUNCTIONS, describeFunctions || DEFAULT_DESCRIBE_FUNCTIONS],
+    [SUPPORTED_HOOKS, hookFunctions || DEFAULT_HOOK_FUNCTIONS],
+  ].forEach(([set, names]) => {
+    set.clear();
+    names.forEach((name) => set.add(name));
+  });
 }
 
 function isSkip(ident) {
@@ -137,11 +904,31 @@ function isOnly(ident) {
 
 
 module.exports = {
+  DEFAULT_TEST_FUNCTIONS,
+  DEFAULT_DESCRIBE_FUNCTIONS,
+  DEFAULT_HOOK_FUNCTIONS,
   SUPPORTED_HOOKS,
+  TEST_FUNCTIONS,
+  DESCRIBE_FUNCTIONS,
+  LOOP_METHODS,
+  configureIdentifiers,
+  walkBase,
+  unwrapTSExpression,
   parseCallee,
   getPropertyKey,
+  getTestConfig,
+  extractTags,
+  findImpureDescribeCalls,
+  UNRESOLVED,
+  createEvaluator,
   maybeGetLiteralValue,
   inferTestName,
+  isDynamicTestName,
+  findModuleDefinitions,
+  getDottedName,
+  findChainableDeclarations,
+  findLeadingComment,
+  getFunctionParams,
   nodeIsFunction,
   isTestIdentifier,
   isTestOrDescribeIdentifier,
@@ -1,72 +1,223 @@
 const acorn = require("acorn");
 const walk = require("acorn-walk");
+const jsxPlugin = require("acorn-jsx");
+const { tsPlugin } = require("acorn-typescript");
 const fs = require("fs");
-const { runQwilExtension } = require('./qwilExtension');
-const assert = require('assert').strict;
+const path = require("path");
+const crypto = require("crypto");
+const extensionUtils = require('./extensions');
 const { interleaveArray } = require("./utils");
-const { parseCallee, maybeGetLiteralValue, nodeIsFunction, isTestIdentifier, isTestOrDescribeIdentifier, isSkip,
-  isOnly, SUPPORTED_HOOKS, inferTestName
+const { parseCallee, maybeGetLiteralValue, createEvaluator, UNRESOLVED, nodeIsFunction, isTestIdentifier,
+  isTestOrDescribeIdentifier, isSkip, isOnly, SUPPORTED_HOOKS, inferTestName, isDynamicTestName, walkBase,
+  unwrapTSExpression, findLeadingComment, getFunctionParams, getPropertyKey, getTestConfig, extractTags,
+  findModuleDefinitions, LOOP_METHODS
 } = require('./parseUtils');
 
+const SUPPORTED_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx"];
+// node types whose statements can be deleted without changing the meaning of the code around them
+const STATEMENT_CONTAINERS = new Set(["Program", "BlockStatement", "TSModuleBlock"]);
+
+// Parsers are built lazily and cached since extending acorn.Parser is not free
+const _parsers = {};
+
+function getParser(lang) {
+  if (!_parsers[lang]) {
+    switch (lang) {
+      case "js":
+        _parsers[lang] = acorn.Parser;
+        break;
+      case "jsx":
+        _parsers[lang] = acorn.Parser.extend(jsxPlugin());
+        break;
+      case "ts":
+        _parsers[lang] = acorn.Parser.extend(tsPlugin());
+        break;
+      case "tsx":
+        _parsers[lang] = acorn.Parser.extend(tsPlugin({ jsx: true }));
+        break;
+      case "dts":
+        _parsers[lang] = acorn.Parser.extend(tsPlugin({ dts: true }));
+        break;
+      default:
+        throw new Error(`Unsupported language "${lang}"`);
+    }
+  }
+  return _parsers[lang];
+}
+
+function langFromFilename(filename) {
+  /**
+   * Returns the language to parse a file as, based on its extension. Defaults to "js" for unknown extensions.
+   **/
+  if (filename.endsWith(".d.ts")) {
+    return "dts";
+  }
+  switch (path.extname(filename)) {
+    case ".ts":
+      return "ts";
+    case ".tsx":
+      return "tsx";
+    case ".jsx":
+      return "jsx";
+    default:
+      return "js";
+  }
+}
 
-function parse(source) {
+function parse(source, filename = "") {
   /**
-   * Returns AST in ESTree format -- https://github.com/estree/estree/blob/master/es2020.md
+   * Returns AST in ESTree format -- https://github.com/estree/estree/blob/master/es2022.md
+   *
+   * TypeScript and JSX are parsed directly rather than transpiled so node offsets map to the original source. TS
+   * specific nodes follow the typescript-estree conventions and are handled by walkBase in parseUtils.
+   *
+   * Comments are collected in ast.comments, as done by espree and typescript-estree.
    **/
-  return acorn.parse(source, {
-    ecmaVersion: 2020,
-    sourceType: "module"
+  const comments = [];
+  const ast = getParser(langFromFilename(filename)).parse(source, {
+    ecmaVersion: "latest",
+    sourceType: filename.endsWith(".cjs") ? "script" : "module",
+    locations: true,  // required by acorn-typescript
+    onComment: comments,
   });
+  ast.comments = comments;
+  return ast;
 }
 
 async function readFileAndParseAST(filePath) {
+  /**
+   * Returns { ast, errors } where ast is null if the file could not be (or should not be) parsed, in which case errors
+   * will have a DeferredErrorObj explaining why. Errors here have "line" and "column" (both starting from 1) on top of
+   * the usual "loc", and are flagged as either "fatal" (syntax errors) or "skipped" (files we deliberately ignore).
+   **/
   const content = (await fs.promises.readFile(filePath, "utf8")).toString();
   if (content.startsWith('#!')) {
     // Ignore nodeJS scripts that start with shabang
-    return null;
+    return {
+      ast: null,
+      errors: [{
+        message: "Skipped: file starts with a shebang so is assumed to be a script",
+        loc: 0,
+        line: 1,
+        column: 1,
+        skipped: true,
+      }],
+    };
   }
   try {
-    return parse(content);
+    return { ast: parse(content, filePath), errors: [] };
   } catch (e) {
     if (e instanceof SyntaxError) {
-      const lineAtError = content.split("\n")[e.loc.line - 1];
-      const arrow = ((e.loc.column > 0) ? ' '.repeat(e.loc.column) : '') + '^';
-      console.error(`Syntax Error : ${e.message}
-
-${lineAtError}
-${arrow}
-
-at (${filePath}:${e.loc.line}:${e.loc.column})
-      `);
-      process.exit(1);
+      return {
+        ast: null,
+        errors: [{
+          message: `Syntax Error: ${e.message.replace(/ \(\d+:\d+\)$/, "")}`,  // strip "(line:col)" added by acorn
+          loc: e.pos,
+          line: e.loc.line,
+          column: e.loc.column + 1,
+          fatal: true,
+        }],
+      };
     } else {
       throw e;
     }
   }
+}
 
+async function readFileAndFindCyStuff(filePath, options) {
+  /**
+   * Convenience wrapper for readFileAndParseAST() + findCyStuff(), where parse errors are included in the output errors
+   **/
+  const { ast, errors } = await readFileAndParseAST(filePath);
+  const output = findCyStuff(ast, { filename: filePath, ...options });
+  output.errors = errors.concat(output.errors);
+  return output;
 }
 
-function findInnerCypressCalls(funcNode) {
-  return findCyStuff(funcNode, { find: { used: true } }).used;
+function resolveModulePath(source, fromFilename, known) {
+  /**
+   * Returns absolute path of the file imported as source from fromFilename, if it is one of known (a Set of absolute
+   * paths), or undefined. Only relative imports are resolved, trying SUPPORTED_EXTENSIONS and index files the way
+   * bundlers do.
+   **/
+  if (!/^\.\.?(\/|$)/.test(source)) {
+    return undefined;
+  }
+  const base = path.resolve(path.dirname(fromFilename), source);
+  return [base]
+    .concat(SUPPORTED_EXTENSIONS.map((ext) => base + ext))
+    .concat(SUPPORTED_EXTENSIONS.map((ext) => path.join(base, `index${ext}`)))
+    .find((candidate) => known.has(candidate));
 }
 
-function findInnerFuncCalls(funcNode) {
-  return findFuncCalls(funcNode, n => !n.startsWith('cy.'));
+function createImportResolver(filenames) {
+  /**
+   * Returns function (source, fromFilename) that returns the evaluator (see createEvaluator in parseUtils.js) for the
+   * module imported as source from fromFilename, for use as the "resolveImport" option of findCyStuff(). Only imports
+   * of the given files can be resolved (see resolveModulePath). Returns undefined for anything else, or if the file
+   * cannot be parsed.
+   **/
+  const known = new Set(filenames.map((f) => path.resolve(f)));
+  const evaluators = new Map();
+
+  function resolveImport(source, fromFilename) {
+    const target = fromFilename && resolveModulePath(source, fromFilename, known);
+    if (!target) {
+      return undefined;
+    }
+    if (!evaluators.has(target)) {
+      let ast = null;
+      try {
+        ast = parse(fs.readFileSync(target, "utf8"), target);
+      } catch (e) {
+        if (!(e instanceof SyntaxError)) {
+          throw e;
+        }
+      }
+      evaluators.set(target, ast && createEvaluator(ast, { resolveImport: (s) => resolveImport(s, target) }));
+    }
+    return evaluators.get(target) || undefined;
+  }
+
+  return resolveImport;
 }
 
+function findInnerCypressCalls(funcNode, evaluator) {
+  return findCyStuff(funcNode, { find: { used: true }, evaluator }).used;
+}
+
+function findInnerFuncCalls(funcNode, evaluator) {
+  return findFuncCalls(funcNode, n => !n.startsWith('cy.'), evaluator);
+}
+
+// helpers passed on to extensions
+const EXTENSION_HELPERS = { findInnerCypressCalls, findInnerFuncCalls };
+
 function findCyStuff(ast, options) {
   const optionDefaults = {
     find: {
       added: true,
       used: true,
       tests: true,
-      hooks: true
+      hooks: true,
+      helpers: true,
     },
     // should we include "cyMethodsUsed" when we find added Cypress Command
     includeCyMethodsUsed: true,
     // should we also gather other function calls in Cypress Command implementation?
     includeOtherFuncCalls: true,
-    // extra parsing explicit to Qwil use case
+    // extensions to run on the AST (see loadExtension in extensions.js)
+    extensions: [],
+    // filename of parsed file, passed on to extensions
+    filename: undefined,
+    // test and hook ids are derived from the path of filename relative to this, so they are the same on every machine
+    rootDir: process.cwd(),
+    // function (source, fromFilename) returning evaluator for an imported module (see createImportResolver), so
+    // imported consts can be resolved
+    resolveImport: undefined,
+    // evaluator for expressions (see createEvaluator in parseUtils.js). Created from ast if not given.
+    evaluator: undefined,
+    // DEPRECATED: use `extensions: [loadExtension("qwil")]` instead
     enableQwilExtension: false,
   }
 
@@ -75,13 +226,20 @@ function findCyStuff(ast, options) {
   const findUsed = Boolean(_options.find.used);
   const findTests = Boolean(_options.find.tests);
   const findHooks = Boolean(_options.find.hooks);
-  const qwilExtension = Boolean(_options.enableQwilExtension);
+  const findHelpers = Boolean(_options.find.helpers);
+  const extensions = [..._options.extensions];
+  if (_options.enableQwilExtension && !extensions.some((ext) => ext.name === "qwil")) {
+    extensions.push(extensionUtils.loadExtension("qwil"));
+  }
 
   const added = [];
   const used = [];
   const tests = [];
   const hooks = Object.fromEntries(Array.from(SUPPORTED_HOOKS).map((hook) => [hook, []]));
   const errors = [];
+  const evaluator = _options.evaluator || createEvaluator(ast, {
+    resolveImport: _options.resolveImport && ((source) => _options.resolveImport(source, _options.filename)),
+  });
 
   if (ast) {
     walk.ancestor(ast, {
@@ -92,15 +250,36 @@ function findCyStuff(ast, options) {
         } else if (findAdded && dottedName === "Cypress.Commands.add") {
           const nameNode = node.arguments[0];
           const funcNode = node.arguments.at(-1);  // Not [1] because there could be optional "options" arg there
-          assert(nameNode.type === "Literal", "Cypress command name must be a literal string");
+          const name = nameNode ? evaluator.evaluate(nameNode) : UNRESOLVED;
+          if (typeof name !== "string") {
+            errors.push({
+              message: "Cypress command name must be a string that can be statically evaluated",
+              loc: nameNode ? nameNode.start : node.start,
+            });
+            return;
+          }
+          // names given as a constant can still be found and used, but only literals can be renamed in place
+          const isLiteralName = nameNode.type === "Literal"
+            || (nameNode.type === "TemplateLiteral" && !nameNode.expressions.length);
+          const parentNode = ancestors.at(-2);
+          // only statements directly in a block can be deleted. The body of an unbraced if/else/for/while cannot.
+          const isStatement = parentNode && parentNode.type === "ExpressionStatement"
+            && STATEMENT_CONTAINERS.has((ancestors.at(-3) || {}).type);
+          const comment = ast.comments && findLeadingComment(ast.comments, isStatement ? parentNode : node);
+          const prevSubject = (node.arguments.length > 2) ? getPrevSubject(node.arguments[1]) : undefined;
 
           // get cy methods used by this command
           added.push({
-            name: nameNode.value,
+            name,
             start: node.start,
             end: node.end,
-            ...(_options.includeCyMethodsUsed && { cyMethodsUsed: findInnerCypressCalls(funcNode) }),
-            ...(_options.includeOtherFuncCalls && { otherFuncCalls: findInnerFuncCalls(funcNode) }),
+            ...(isLiteralName && { nameStart: nameNode.start, nameEnd: nameNode.end }),
+            ...(isStatement && { statementStart: parentNode.start, statementEnd: parentNode.end }),
+            ...(comment !== undefined && { comment }),
+            ...(prevSubject !== undefined && { prevSubject }),
+            ...(nodeIsFunction(funcNode) && { params: getFunctionParams(funcNode) }),
+            ...(_options.includeCyMethodsUsed && { cyMethodsUsed: findInnerCypressCalls(funcNode, evaluator) }),
+            ...(_options.includeOtherFuncCalls && { otherFuncCalls: findInnerFuncCalls(funcNode, evaluator) }),
           });
 
         } else if (findUsed && dottedName.startsWith("cy.")) {
@@ -127,22 +306,12 @@ function findCyStuff(ast, options) {
             }
           });
 
-          const literalArguments = {};
-          let hasLiteralArguments = false;
-          node.arguments.forEach((a, i) => {
-            const value = maybeGetLiteralValue(a);
-            if (value) {
-              hasLiteralArguments = true;
-              literalArguments[i] = value;
-            }
-          });
-
           used.push({
             name: nameSegments.at(-1),
-            start: node.callee.property.start,  // start at identifier in case this is chained
+            start: unwrapTSExpression(node.callee).property.start,  // start at identifier in case this is chained
             end: node.end,  // end at the end of the full call, including params and inner func.
             arguments: arguments,
-            ...(hasLiteralArguments ? { literalArguments } : null),
+            ...evaluateArguments(node, evaluator),
             chain: chain,
           })
         } else if (findTests && isTestIdentifier(dottedName)) {
@@ -151,47 +320,42 @@ function findCyStuff(ast, options) {
               message: `'${dottedName}' has insufficient number of arguments`,
               loc: node.start,
             })
-            console.log(node);
             return;
           }
 
-          let funcNode = node.arguments[1];
+          // it(name, fn) or it(name, config, fn)
+          let funcNode = node.arguments.at(-1);
           if (!nodeIsFunction(funcNode)) {
             errors.push({
               message: `function expected, but found ${funcNode.type}`,
               loc: funcNode.start,
             })
-            console.log(node);
             return;
           }
 
-          let scopeNodes = ancestors
-            .filter((n) => n.type === "CallExpression")
-            .map((n) => ({node: n, dotted: parseCallee(n)}))
-            .filter((o) => o.dotted && isTestOrDescribeIdentifier(o.dotted));
-
-          let scope = scopeNodes.map((o) => {
-            return {
-              name: inferTestName(o.node),
-              func: o.dotted,
-              start: o.node.start,
-              end: o.node.end,
-              ...(isSkip(o.dotted) && {skip: true}),
-              ...(isOnly(o.dotted) && {only: true}),
-            }
+          const cyMethodsUsed = _options.includeCyMethodsUsed && findInnerCypressCalls(funcNode, evaluator);
+          const otherFuncCalls = _options.includeOtherFuncCalls && findInnerFuncCalls(funcNode, evaluator);
+
+          // tests generated in loops are listed once per iteration
+          forEachIteration(ancestors, evaluator, (scopeEvaluator, dataDriven) => {
+            let scope = getScope(ancestors, scopeEvaluator);
+            let tags = Array.from(new Set(scope.flatMap((s) => s.tags || [])));
+
+            tests.push({
+              scope: scope,
+              start: node.start,
+              end: node.end,
+              funcStart: funcNode.start,
+              funcEnd: funcNode.end,
+              ...getTestConfig(node, scopeEvaluator(ancestors.length - 1)),
+              ...(tags.length && { tags }),
+              ...(cyMethodsUsed && { cyMethodsUsed }),
+              ...(otherFuncCalls && { otherFuncCalls }),
+              ...(scope.some((n) => n.skip) && { skip: true}),
+              ...(scope.some((n) => n.only) && { only: true}),
+              ...(dataDriven && { dataDriven }),
+            })
           });
-
-          tests.push({
-            scope: scope,
-            start: node.start,
-            end: node.end,
-            funcStart: funcNode.start,
-            funcEnd: funcNode.end,
-            ...(_options.includeCyMethodsUsed && { cyMethodsUsed: findInnerCypressCalls(funcNode) }),
-            ...(_options.includeOtherFuncCalls && { otherFuncCalls: findInnerFuncCalls(funcNode) }),
-            ...(scope.some((n) => n.skip) && { skip: true}),
-            ...(scope.some((n) => n.only) && { only: true}),
-          })
         } else if (findHooks && SUPPORTED_HOOKS.has(dottedName)) {
           // Watch out for false positives. If wrong number or params, or is not function, assume this is not a hook.
           if (node.arguments.length !== 1) {
@@ -202,62 +366,262 @@ function findCyStuff(ast, options) {
             return
           }
 
-          let scopeNodes = ancestors
-            .filter((n) => n.type === "CallExpression")
-            .map((n) => ({node: n, dotted: parseCallee(n)}))
-            .filter((o) => o.dotted && isTestOrDescribeIdentifier(o.dotted));
-
           // also exclude calls to hooks if within it() scope
-          if (scopeNodes.some((o) => isTestIdentifier(o.dotted))) {
+          if (getScope(ancestors, () => evaluator).some((s) => isTestIdentifier(s.func))) {
             return;
           }
 
-          let scope = scopeNodes.map((o) => {
-            return {
-              name: inferTestName(o.node),
-              func: o.dotted,
-              start: o.node.start,
-              end: o.node.end,
-              ...(isSkip(o.dotted) && {skip: true}),
-              ...(isOnly(o.dotted) && {only: true}),
-            }
+          const cyMethodsUsed = _options.includeCyMethodsUsed && findInnerCypressCalls(funcNode, evaluator);
+          const otherFuncCalls = _options.includeOtherFuncCalls && findInnerFuncCalls(funcNode, evaluator);
+
+          // hooks in describes generated in loops are listed once per iteration, like the tests they apply to
+          forEachIteration(ancestors, evaluator, (scopeEvaluator, dataDriven) => {
+            hooks[dottedName].push({
+              scope: getScope(ancestors, scopeEvaluator),
+              start: node.start,
+              end: node.end,
+              funcStart: funcNode.start,
+              funcEnd: funcNode.end,
+              ...(cyMethodsUsed && { cyMethodsUsed }),
+              ...(otherFuncCalls && { otherFuncCalls }),
+              ...(dataDriven && { dataDriven }),
+            })
           });
-
-          hooks[dottedName].push({
-            scope: scope,
-            start: node.start,
-            end: node.end,
-            funcStart: funcNode.start,
-            funcEnd: funcNode.end,
-            ...(_options.includeCyMethodsUsed && { cyMethodsUsed: findInnerCypressCalls(funcNode) }),
-            ...(_options.includeOtherFuncCalls && { otherFuncCalls: findInnerFuncCalls(funcNode) }),
-          })
         }
       }
-    });
-  }
-
-  const extensions = {};
-  if (qwilExtension) {
-    const output = runQwilExtension(ast, { findInnerCypressCalls, findInnerFuncCalls });
-    if (output.errors) {
-      output.errors.forEach(function(e) {errors.push(e)});
-      delete output.errors;
-    }
-    Object.assign(extensions, output)
+    }, walkBase);
+    const idPrefix = _options.filename
+      ? path.relative(_options.rootDir, _options.filename).split(path.sep).join("/")
+      : "";
+    assignTitlesAndIds(tests, hooks, idPrefix);
   }
 
-  return {
+  const output = {
     ...(findAdded && { added }),
     ...(findUsed && { used }),
     ...(findTests && { tests }),
     ...(findHooks && { hooks }),
-    ...extensions,
+    ...(findHelpers && findHelperFunctions(ast, evaluator, _options)),
     errors,
   };
+  extensionUtils.runFileExtensions(extensions, ast, EXTENSION_HELPERS, { filename: _options.filename }, output);
+  return output;
+}
+
+function getScope(ancestors, scopeEvaluator) {
+  /**
+   * Returns Array[ScopeObj] for the describe() and it() calls enclosing (and including) the last of the given
+   * ancestors. scopeEvaluator(i) returns the evaluator for the title and config of the call at ancestors[i] (see
+   * forEachIteration).
+   **/
+  return ancestors
+    .map((n, i) => ({node: n, index: i}))
+    .filter((o) => o.node.type === "CallExpression")
+    .map((o) => ({...o, dotted: parseCallee(o.node)}))
+    .filter((o) => o.dotted && isTestOrDescribeIdentifier(o.dotted))
+    .map((o) => {
+      const evaluator = scopeEvaluator(o.index);
+      const name = inferTestName(o.node, evaluator);
+      const testConfig = getTestConfig(o.node, evaluator);
+      const tags = extractTags(name, testConfig.config);
+      return {
+        name,
+        func: o.dotted,
+        start: o.node.start,
+        end: o.node.end,
+        ...testConfig,
+        ...(tags.length && { tags }),
+        ...(isDynamicTestName(o.node, evaluator) && {dynamic: true}),
+        ...(isSkip(o.dotted) && {skip: true}),
+        ...(isOnly(o.dotted) && {only: true}),
+      }
+    });
+}
+
+function findHelperFunctions(ast, evaluator, options) {
+  /**
+   * Returns { helpers, moduleScope } for a parsed file, where helpers is Array[HelperObj] for module-level functions,
+   * object methods and class methods that tests could call (see findModuleDefinitions in parseUtils.js), and
+   * moduleScope is what the file imports, exports and refers to, so calls to them can be resolved across files.
+   **/
+  const { functions, ...moduleScope } = findModuleDefinitions(ast && ast.type === "Program" ? ast : null);
+  const helpers = functions.map(({ name, node }) => ({
+    name,
+    start: node.start,
+    end: node.end,
+    ...(options.includeCyMethodsUsed && { cyMethodsUsed: findInnerCypressCalls(node, evaluator) }),
+    ...(options.includeOtherFuncCalls && { otherFuncCalls: findInnerFuncCalls(node, evaluator) }),
+  }));
+  return { helpers, moduleScope };
+}
+
+function assignTitlesAndIds(tests, hooks, idPrefix) {
+  /**
+   * Sets "fullTitle" and "id" on each TestObj and HookObj, and "dynamicTitle" if any part of its title is only known at
+   * runtime. fullTitle of a hook is the title of its suite followed by the hook name, e.g. "Login > beforeEach".
+   *
+   * ids hash idPrefix (e.g. path of the spec file) and the full title, so they do not change when code moves around.
+   * Objects with the same full title within the file are numbered in order of appearance to keep ids unique.
+   **/
+  const entries = tests.map((test) => ({ obj: test, titles: test.scope.map((s) => s.name) }))
+    .concat(Object.entries(hooks).flatMap(([name, objs]) => objs.map((hook) => ({
+      obj: hook,
+      titles: hook.scope.map((s) => s.name).concat(name),
+    }))))
+    .sort((a, b) => a.obj.start - b.obj.start);
+
+  const counts = new Map();
+  entries.forEach(({ obj, titles }) => {
+    const fullTitle = titles.join(" > ");
+    const n = (counts.get(fullTitle) || 0) + 1;
+    counts.set(fullTitle, n);
+    obj.fullTitle = fullTitle;
+    obj.id = crypto.createHash("sha1").update([idPrefix, fullTitle, n].join("\n")).digest("hex").slice(0, 12);
+    if (obj.scope.some((s) => s.dynamic)) {
+      obj.dynamicTitle = true;
+    }
+  });
+}
+
+function forEachIteration(ancestors, evaluator, callback) {
+  /**
+   * Calls callback(scopeEvaluator, dataDriven) once for every iteration of the loops enclosing the last of the given
+   * ancestors (see getLoop), e.g. `[...].forEach((role) => it(...))`, `for (const role of [...]) it(...)` or
+   * `Object.entries(cases).map(([name, c]) => ...)`, or just once if there are none.
+   *
+   * scopeEvaluator(i) returns the evaluator for the call at ancestors[i], with the loop variables that enclose it bound
+   * to the values of the iteration. dataDriven is undefined if there are no loops, otherwise
+   * { index, count, start, end } where start and end are the char offsets of the outermost loop, and count is the total
+   * number of iterations. If any iterated collection cannot be statically evaluated, callback is only called once,
+   * with count set to null and loop variables left unresolved.
+   **/
+  const loops = ancestors.slice(0, -1).flatMap((n, i) => {
+    const loop = getLoop(n, ancestors[i + 1]);
+    return loop ? [{ node: n, index: i, ...loop }] : [];
+  });
+  if (!loops.length) {
+    callback(() => evaluator, undefined);
+    return;
+  }
+
+  // Array of Array[Map], i.e. bindings for the callback of each loop (including those of outer loops), per iteration
+  let iterations = [[]];
+  for (const loop of loops) {
+    const next = [];
+    for (const outer of iterations) {
+      const outerBindings = outer.at(-1) || new Map();
+      const items = evaluateCollection(loop.collection, evaluator.withBindings(outerBindings));
+      if (items === UNRESOLVED) {
+        iterations = null;
+        break;
+      }
+      items.forEach((item, i) => {
+        const bindings = new Map(outerBindings);
+        // forEach() and map() pass (item, index, array), for...of just the item
+        [item, i, items].forEach((value, p) => {
+          if (loop.params[p]) {
+            evaluator.bindPattern(loop.params[p], value, bindings);
+          }
+        });
+        next.push(outer.concat([bindings]));
+      });
+    }
+    if (!iterations) {
+      break;
+    }
+    iterations = next;
+  }
+
+  const { start, end } = loops[0].node;
+  if (!iterations) {
+    callback(() => evaluator, { count: null, start, end });
+    return;
+  }
+  iterations.forEach((bindings, index) => {
+    const scopeEvaluator = (i) => {
+      const enclosing = bindings.filter((_, l) => loops[l].index < i);
+      return enclosing.length ? evaluator.withBindings(enclosing.at(-1)) : evaluator;
+    };
+    callback(scopeEvaluator, { index, count: iterations.length, start, end });
+  });
+}
+
+function getLoop(node, child) {
+  /**
+   * Returns { collection, params } if node is a loop and child is its body, i.e. a forEach() or map() call with child
+   * as the callback, or a for...of statement with child as the body. collection is the node iterated over, and params are
+   * the patterns bound on each iteration, e.g. the callback params or the `const` of for...of.
+   **/
+  if (node.type === "ForOfStatement" && child === node.body) {
+    const left = node.left.type === "VariableDeclaration" ? node.left.declarations[0].id : node.left;
+    return { collection: node.right, params: [left] };
+  }
+  const callee = node.type === "CallExpression" && unwrapTSExpression(node.callee);
+  const isLoop = callee && callee.type === "MemberExpression" && !callee.computed
+    && LOOP_METHODS.has(callee.property.name) && node.arguments[0] && nodeIsFunction(node.arguments[0])
+    && child === node.arguments[0];
+  return isLoop ? { collection: callee.object, params: node.arguments[0].params } : undefined;
+}
+
+function evaluateCollection(node, evaluator) {
+  /**
+   * Returns Array of items a loop iterates over, or UNRESOLVED. Supports arrays, and Object.entries(),
+   * Object.keys() and Object.values() of objects.
+   **/
+  node = unwrapTSExpression(node);
+  const dottedName = node.type === "CallExpression" && parseCallee(node);
+  if (["Object.entries", "Object.keys", "Object.values"].includes(dottedName) && node.arguments.length === 1) {
+    const value = evaluator.evaluate(node.arguments[0]);
+    const isObject = value !== UNRESOLVED && value !== null && typeof value === "object";
+    return isObject ? Object[dottedName.split(".")[1]](value) : UNRESOLVED;
+  }
+  const value = evaluator.evaluate(node);
+  return Array.isArray(value) ? value : UNRESOLVED;
+}
+
+function runProjectExtensions(extensions, results) {
+  /**
+   * Runs project-level hooks of extensions once all files have been parsed. See loadExtension in extensions.js
+   **/
+  extensionUtils.runProjectExtensions(extensions, results, EXTENSION_HELPERS);
+}
+
+function getPrevSubject(optionsNode) {
+  /**
+   * Returns value of "prevSubject" in options passed to Cypress.Commands.add, e.g. true, "optional" or ["element"].
+   * Returns undefined if not set, or cannot be statically determined.
+   **/
+  if (optionsNode.type !== "ObjectExpression") {
+    return undefined;
+  }
+  const prop = optionsNode.properties.find((p) => getPropertyKey(p) === "prevSubject");
+  return prop ? maybeGetLiteralValue(prop.value) : undefined;
+}
+
+function evaluateArguments(callNode, evaluator) {
+  /**
+   * Returns { literalArguments?, unresolvedArguments? } for a call, where literalArguments maps the index of each
+   * argument that could be statically evaluated to its value, and unresolvedArguments lists indices of those that could
+   * not, other than functions (e.g. callbacks) which are never values.
+   **/
+  evaluator = evaluator || createEvaluator(null);
+  const literalArguments = {};
+  const unresolvedArguments = [];
+  callNode.arguments.forEach((a, i) => {
+    const value = a.type === "SpreadElement" ? UNRESOLVED : evaluator.evaluate(a);
+    if (value !== UNRESOLVED) {
+      literalArguments[i] = value;
+    } else if (!nodeIsFunction(a)) {
+      unresolvedArguments.push(i);
+    }
+  });
+  return {
+    ...(Object.keys(literalArguments).length && { literalArguments }),
+    ...(unresolvedArguments.length && { unresolvedArguments }),
+  };
 }
 
-function findFuncCalls(ast, nameFilter) {
+function findFuncCalls(ast, nameFilter, evaluator) {
   let calls = [];
   walk.simple(ast, {
     CallExpression: function (node) {
@@ -273,32 +637,28 @@ function findFuncCalls(ast, nameFilter) {
           }
         });
 
-        const literalArguments = {};
-        let hasLiteralArguments = false;
-        node.arguments.forEach((a, i) => {
-          const value = maybeGetLiteralValue(a);
-          if (value) {
-            hasLiteralArguments = true;
-            literalArguments[i] = value;
-          }
-        });
-
+        const callee = unwrapTSExpression(node.callee);
         calls.push({
           name: dottedName,
-          start: node.callee.property ? node.callee.property.start : node.start,
+          start: callee.property ? callee.property.start : node.start,
           rootStart: node.start, // if chained calls, this != start
           end: node.end,  // end at the end of the full call, including params and inner func.
           arguments: arguments,
-          ...(hasLiteralArguments ? { literalArguments } : null),
+          ...evaluateArguments(node, evaluator),
         })
       }
     },
-  });
+  }, walkBase);
   return calls;
 }
 
 module.exports = {
+  SUPPORTED_EXTENSIONS,
   parse,
   findCyStuff,
   readFileAndParseAST,
+  readFileAndFindCyStuff,
+  resolveModulePath,
+  createImportResolver,
+  runProjectExtensions,
 }
@@ -0,0 +1,121 @@
+/**
+ * Given a command inventory (see buildCommandInventory), works out which commands can be deleted because they are never
+ * used. This is done iteratively, so commands that are only used by other deleted commands are deleted too. Once no
+ * more commands become unused, commands that are only used by each other (e.g. two commands that call each other but
+ * are not used anywhere else) are deleted together in a final pass.
+ *
+ * Returns:
+ *  - pruned: Array of { name, pass, definitions } for commands to delete, in the order they were found. "pass" is the
+ *            iteration (from 1) in which the command became unused.
+ *  - kept: Array of { name, definitions } for commands that are unused but cannot be deleted automatically because at
+ *          least one of their definitions is not a standalone statement, e.g. `const x = Cypress.Commands.add(...)` or
+ *          the unbraced body of an if statement
+ */
+function findPrunableCommands(inventory) {
+  const pruned = [];
+  const prunedNames = new Set();
+  const prunedDefinitions = [];
+
+  const isUnused = (name) => {
+    return (inventory.used.get(name) || []).every((usage) => {
+      return prunedDefinitions.some((def) => isWithin(usage, def));
+    });
+  }
+
+  for (let pass = 1; ; pass++) {
+    const candidates = Array.from(inventory.added.keys())
+      .filter((name) => !prunedNames.has(name))
+      .filter((name) => inventory.added.get(name).every(isRemovable));
+    let found = candidates.filter(isUnused).sort();
+    if (!found.length) {
+      const reachable = findReachableCommands(inventory, candidates, prunedDefinitions);
+      found = candidates.filter((name) => !reachable.has(name)).sort();
+    }
+
+    if (!found.length) {
+      break;
+    }
+
+    found.forEach((name) => {
+      const definitions = inventory.added.get(name);
+      pruned.push({ name, pass, definitions });
+      prunedNames.add(name);
+      prunedDefinitions.push(...definitions);
+    });
+  }
+
+  const kept = Array.from(inventory.added.keys())
+    .filter((name) => !prunedNames.has(name) && isUnused(name))
+    .sort()
+    .map((name) => ({ name, definitions: inventory.added.get(name) }));
+
+  return { pruned, kept };
+}
+
+/**
+ * Returns edits (see applyEdits in utils) that would remove the statements of the given command definitions from
+ * source.
+ *
+ * Only the statement itself is removed. If the statement is on lines of its own, those lines are removed entirely, but
+ * surrounding comments, blank lines and code on the same line are left untouched.
+ */
+function removalEdits(source, definitions) {
+  return definitions.map((def) => {
+    let start = def.statementStart;
+    let end = def.statementEnd;
+
+    const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+    let lineEnd = source.indexOf("\n", end);
+    lineEnd = (lineEnd === -1) ? source.length : lineEnd + 1;
+
+    if (!source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+      start = lineStart;
+      end = lineEnd;
+    } else {
+      // something else on the same line, e.g. a trailing comment. Let that take the place of the removed statement.
+      end += source.slice(end).match(/^[ \t]*/)[0].length;
+    }
+
+    return { start, end, text: "" };
+  });
+}
+
+/**
+ * Returns Set of names of commands that are used outside of the definitions of the given candidate commands (which
+ * could be deleted) and of already deleted definitions, e.g. in tests, hooks or commands that cannot be deleted, either
+ * directly or via other commands.
+ */
+function findReachableCommands(inventory, candidates, deletedDefinitions) {
+  const candidateDefinitions = candidates.flatMap((name) => inventory.added.get(name)).concat(deletedDefinitions);
+  const stack = Array.from(inventory.used.keys()).filter((name) => {
+    return inventory.used.get(name).some((usage) => !candidateDefinitions.some((def) => isWithin(usage, def)));
+  });
+  const reachable = new Set();
+  while (stack.length) {
+    const name = stack.pop();
+    if (reachable.has(name)) {
+      continue;
+    }
+    reachable.add(name);
+    const definitions = inventory.added.get(name) || [];
+    for (const [other, usages] of inventory.used) {
+      if (usages.some((usage) => definitions.some((def) => isWithin(usage, def)))) {
+        stack.push(other);
+      }
+    }
+  }
+  return reachable;
+}
+
+function isRemovable(def) {
+  return def.statementStart !== undefined;
+}
+
+function isWithin(usage, def) {
+  return usage.filename === def.filename && def.start <= usage.start && usage.end <= def.end;
+}
+
+module.exports = {
+  findPrunableCommands,
+  removalEdits,
+}
@@ -1,16 +1,26 @@
 const assert = require('assert').strict;
 const walk = require('acorn-walk');
-const { parseCallee, nodeIsFunction, isTestOrDescribeIdentifier, SUPPORTED_HOOKS, getPropertyKey, isSkip, isOnly,
-  isDescribeIdentifier, inferTestName
+const { parseCallee, nodeIsFunction, getPropertyKey, isSkip, isOnly,
+  isDescribeIdentifier, inferTestName, walkBase, DESCRIBE_FUNCTIONS, findImpureDescribeCalls
 } = require('./parseUtils');
 
 const SCENARIO_PREFIX = "expectStandardScenariosFor";
 const SCENARIO_FN_SUFFIX = "Fn";
 
-/** Qwil extension to detect cy calls within expectStandardScenariosFor* test factories **/
-function runQwilExtension(ast, helpers) {
+/**
+ * Qwil extension to detect cy calls within expectStandardScenariosFor* test factories
+ *
+ * Accepts "scenarioPrefix" and "scenarioFnSuffix" in context.options (i.e. "extensionOptions.qwil" in config) to
+ * override SCENARIO_PREFIX and SCENARIO_FN_SUFFIX.
+ **/
+function runQwilExtension(ast, helpers, context = {}) {
   const scenarios = [];
   const errors = [];
+  const options = {
+    scenarioPrefix: SCENARIO_PREFIX,
+    scenarioFnSuffix: SCENARIO_FN_SUFFIX,
+    ...context.options,
+  };
 
   if (ast) {
     walk.ancestor(ast, {
@@ -20,10 +30,10 @@ function runQwilExtension(ast, helpers) {
           return; // ignore calls without name identifiers e.g. [].push(...)
         }
 
-        if (dottedName === "describe") {
-          validateDescribeMembers(node).forEach(e => errors.push(e));
-        } else if (dottedName.startsWith(SCENARIO_PREFIX)) {
-          const output = parseScenario(node, ancestors, helpers);
+        if (DESCRIBE_FUNCTIONS.has(dottedName)) {
+          validateDescribeMembers(node, options).forEach(e => errors.push(e));
+        } else if (dottedName.startsWith(options.scenarioPrefix)) {
+          const output = parseScenario(node, ancestors, helpers, options);
           if (output.errors) {
             output.errors.forEach(function(e) {errors.push(e)});
           }
@@ -32,17 +42,17 @@ function runQwilExtension(ast, helpers) {
           }
         }
       },
-    });
+    }, walkBase);
   }
 
   return { scenarios, errors };
 }
 
-function validateDescribeMembers(node) {
+function validateDescribeMembers(node, options) {
   const errors = [];
 
   assert(
-    node.type === "CallExpression" && node.callee.name === "describe",
+    node.type === "CallExpression" && DESCRIBE_FUNCTIONS.has(node.callee.name),
     "This method should only be called for 'describe' CallExpression"
   );
 
@@ -62,7 +72,7 @@ function validateDescribeMembers(node) {
     return errors;
   }
 
-  const implNode = node.arguments[1];
+  const implNode = node.arguments.at(-1);  // describe(name, fn) or describe(name, config, fn)
   if (!nodeIsFunction(implNode)) {
     errors.push({
       message: `function expected, but found ${implNode.type}`,
@@ -71,41 +81,24 @@ function validateDescribeMembers(node) {
     return errors;
   }
 
-  // for each top-level statement in func body
-  implNode.body.body.forEach(function(n) {
-    if (n.type === "ExpressionStatement" && n.expression.type === "CallExpression") {
-      const dottedName = parseCallee(n.expression);
-      if (!dottedName) {
-        return; // ignore calls without name identifiers e.g. [].push(...)
-      }
-      // allow tests and describes and hooks
-      if (isTestOrDescribeIdentifier(dottedName) || SUPPORTED_HOOKS.has(dottedName)) {
-        return;
-      }
-
-      // allow scenario factories
-      if (dottedName.startsWith(SCENARIO_PREFIX)) {
-        return;
-      }
-
-      // everything else banned
-      errors.push({
-        message: `[PURE DESCRIBE] 'describe' should only call tests or hooks. Found '${dottedName}`,
-        loc: n.start,
-      })
-    }
+  // allow scenario factories, but everything else banned
+  findImpureDescribeCalls(node, (dottedName) => dottedName.startsWith(options.scenarioPrefix)).forEach((found) => {
+    errors.push({
+      message: `[PURE DESCRIBE] 'describe' should only call tests or hooks. Found '${found.name}`,
+      loc: found.node.start,
+    })
   });
 
   return errors;
 }
 
-function parseScenario(node, ancestors, helpers) {
+function parseScenario(node, ancestors, helpers, options) {
   const name = parseCallee(node);
   const errors = [];
 
   assert(
-    node.type === "CallExpression" && node.callee.name.startsWith(SCENARIO_PREFIX),
-    "This method should only be called for CallExpression with SCENARIO_PREFIX"
+    node.type === "CallExpression" && node.callee.name.startsWith(options.scenarioPrefix),
+    "This method should only be called for CallExpression with scenarioPrefix"
   );
 
   if (node.arguments.length !== 1) {
@@ -152,7 +145,7 @@ function parseScenario(node, ancestors, helpers) {
   // Inspect top-level properly for object argument
   argNode.properties.forEach(function(propNode) {
     const propName = getPropertyKey(propNode);
-    if (propName.endsWith(SCENARIO_FN_SUFFIX)) {
+    if (propName.endsWith(options.scenarioFnSuffix)) {
       if (propNode.shorthand) {
         errors.push({
           message: `${name}: Object prop shorthand not allowed for scenario factory - { ${propName} }`,
@@ -178,7 +171,8 @@ function parseScenario(node, ancestors, helpers) {
     } else {
       if (nodeIsFunction(propNode.value)) {
         errors.push({
-          message: `${name}: '${propName}' prop does not end with '*${SCENARIO_FN_SUFFIX}'. Must not reference a function`,
+          message: `${name}: '${propName}' prop does not end with '*${options.scenarioFnSuffix}'. `
+            + "Must not reference a function",
           loc: propNode.value.start,
         });
       }
@@ -190,5 +184,7 @@ function parseScenario(node, ancestors, helpers) {
 }
 
 module.exports = {
+  name: "qwil",
+  parseFile: runQwilExtension,
   runQwilExtension,
 }
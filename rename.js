@@ -0,0 +1,51 @@
+const assert = require('assert').strict;
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Returns edits (see applyEdits in utils) that would rename a Cypress command in one file, given:
+ *  - source: content of the file
+ *  - result: findCyStuff() output for the file, with "added" and "used"
+ *  - declarations: output of findChainableDeclarations() for the file, if it is a TypeScript file
+ *
+ * This covers the name in Cypress.Commands.add(...), usage in cy.oldName() and cy.a().oldName(), and the member name
+ * in Chainable interface declarations. Definitions whose name is not a literal, e.g. Cypress.Commands.add(NAME, ...),
+ * are left alone (see CommandAddObj "nameStart").
+ */
+function renameEdits(source, oldName, newName, { result, declarations = [] }) {
+  const edits = [];
+
+  (result.added || []).filter((cmd) => cmd.name === oldName && cmd.nameStart !== undefined).forEach((cmd) => {
+    edits.push(nameEdit(source, cmd.nameStart, cmd.nameEnd, oldName, newName));
+  });
+
+  (result.used || []).filter((cmd) => cmd.name === oldName).forEach((cmd) => {
+    // start of CommandUseObj points at the command name identifier
+    edits.push(nameEdit(source, cmd.start, cmd.start + oldName.length, oldName, newName));
+  });
+
+  declarations.filter((decl) => decl.name === oldName).forEach((decl) => {
+    edits.push(nameEdit(source, decl.keyStart, decl.keyEnd, oldName, newName));
+  });
+
+  return edits;
+}
+
+function isValidCommandName(name) {
+  return IDENTIFIER_RE.test(name);
+}
+
+function nameEdit(source, start, end, oldName, newName) {
+  if (/^['"`]/.test(source[start])) {
+    // name given as string literal, so only replace what is within the quotes
+    start++;
+    end--;
+  }
+  assert(source.slice(start, end) === oldName, `expected "${oldName}" at offset ${start}`);
+  return { start, end, text: newName };
+}
+
+module.exports = {
+  isValidCommandName,
+  renameEdits,
+}
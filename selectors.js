@@ -0,0 +1,149 @@
+const { testTitle } = require('./graph');
+const { buildTestContexts } = require('./suites');
+
+// cy methods whose first argument is a selector. contains() only takes a selector if given content as well. within()
+// takes no selector, but scopes to the subject of the query it is chained onto, which is included.
+const SELECTOR_METHODS = new Set(["get", "find", "contains", "filter", "not", "children", "closest", "parent",
+  "parents", "siblings", "next", "prev"]);
+
+const BRITTLE_RULES = {
+  // e.g. "li:nth-child(2)", "tr:first", ":eq(3)"
+  "positional": (parsed) => /:(nth(-last)?-(child|of-type)|(first|last)(-child|-of-type)?|eq|nth|even|odd|gt|lt)\b/
+    .test(parsed.selector),
+  // only classes identify the element, e.g. ".btn.btn-primary"
+  "bare-class": (parsed) => parsed.classes.length > 0 && !parsed.ids.length && !parsed.attributes.length,
+  // only element names identify the element, e.g. "div > span". "body" and "html" are unique so are fine, as is
+  // narrowing by text with contains(), e.g. contains("button", "Save").
+  "tag-only": (parsed, usage) => !parsed.classes.length && !parsed.ids.length && !parsed.attributes.length
+    && !["body", "html"].includes(parsed.selector.trim()) && usage.method !== "contains",
+  // ids are often generated or reused by the frontend
+  "id": (parsed) => parsed.ids.length > 0,
+};
+const DEFAULT_BRITTLE_RULES = ["positional", "bare-class", "tag-only"];
+
+const ATTRIBUTE_RE = /\[\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/g;
+
+/**
+ * Returns { selector, attributes, ids, classes } where attributes is an Array of { name, operator?, value? } for each
+ * attribute selector e.g. [data-test="login"], and ids and classes are Arrays of names.
+ */
+function parseSelector(selector) {
+  const attributes = Array.from(selector.matchAll(ATTRIBUTE_RE)).map((m) => {
+    const value = [m[3], m[4], m[5]].find((v) => v !== undefined);
+    return { name: m[1], ...(m[2] && { operator: m[2], value }) };
+  });
+  // strip attribute selectors and pseudo-class arguments so their contents are not mistaken for ids or classes
+  const rest = selector.replace(ATTRIBUTE_RE, " ").replace(/\([^)]*\)/g, "");
+  return {
+    selector,
+    attributes,
+    ids: Array.from(rest.matchAll(/#([\w-]+)/g)).map((m) => m[1]),
+    classes: Array.from(rest.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)).map((m) => m[1]),
+  };
+}
+
+/**
+ * Returns normalised keys identifying what a parsed selector targets, e.g. "data-test=login", "id=main" or
+ * "class=btn". Attribute selectors with operators other than "=" keep them, e.g. "data-test^=row-".
+ */
+function selectorKeys(parsed) {
+  return parsed.attributes.map((a) => (a.operator ? `${a.name}${a.operator}${a.value}` : a.name))
+    .concat(parsed.ids.map((id) => `id=${id}`))
+    .concat(parsed.classes.map((c) => `class=${c}`));
+}
+
+/**
+ * Lists selectors given as literal strings to cy.get(), .find(), .contains() etc., in tests, hooks and custom commands,
+ * given an object mapping filename to findCyStuff() output (with "used", and "added", "tests" and "hooks", all with
+ * "cyMethodsUsed").
+ *
+ * brittleRules are names of BRITTLE_RULES to flag selectors with. Returns:
+ *  - groups: Array of { key, attribute, usages, tests } for each normalised key (see selectorKeys), sorted by key,
+ *            where usages is an Array of { filename, start, end, method, selector } and tests is an Array of
+ *            { filename, title } of tests that use it, directly or via hooks or custom commands
+ *  - brittle: Array of usages (as above) with "rules" set to the names of the rules it breaks
+ */
+function buildSelectorInventory(results, { brittleRules = DEFAULT_BRITTLE_RULES } = {}) {
+  const unknownRules = brittleRules.filter((rule) => !BRITTLE_RULES[rule]);
+  if (unknownRules.length) {
+    throw new Error(`Unknown brittle selector rule(s): ${unknownRules.join(", ")}. `
+      + `Expecting ${Object.keys(BRITTLE_RULES).join(", ")}`);
+  }
+
+  const key = (obj) => `${obj.filename}:${obj.start}`;
+  const usages = [];
+  for (const [filename, result] of Object.entries(results)) {
+    (result.used || []).forEach((used) => {
+      const selector = getSelectorArgument(used);
+      if (selector !== undefined) {
+        usages.push({ filename, start: used.start, end: used.end, method: used.name, selector });
+      }
+    });
+  }
+
+  const testsByUsage = new Map();
+  buildTestContexts(results).forEach(({ filename, test, blocks }) => {
+    blocks.forEach((block) => {
+      (block.cyMethodsUsed || []).forEach((cmd) => {
+        const k = key({ filename: block.filename, start: cmd.start });
+        const entry = { filename, title: testTitle(test), id: test.id };
+        testsByUsage.set(k, (testsByUsage.get(k) || []).concat(entry));
+      });
+    });
+  });
+
+  const groups = new Map();
+  const brittle = [];
+  usages.forEach((usage) => {
+    const parsed = parseSelector(usage.selector);
+    selectorKeys(parsed).forEach((k) => {
+      if (!groups.has(k)) {
+        groups.set(k, { key: k, attribute: k.split(/[~|^$*]?=/)[0], usages: [], tests: [] });
+      }
+      const group = groups.get(k);
+      group.usages.push(usage);
+      (testsByUsage.get(key(usage)) || []).forEach((test) => {
+        if (!group.tests.some((t) => t.id === test.id)) {
+          group.tests.push(test);
+        }
+      });
+    });
+    const rules = brittleRules.filter((rule) => BRITTLE_RULES[rule](parsed, usage));
+    if (rules.length) {
+      brittle.push({ ...usage, rules });
+    }
+  });
+
+  return {
+    groups: Array.from(groups.values())
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map((group) => ({ ...group, tests: group.tests.map(({ filename, title }) => ({ filename, title })) })),
+    brittle,
+  };
+}
+
+/**
+ * Returns the selector passed to a CommandUseObj if it is a literal string, otherwise undefined. Alias references such
+ * as cy.get("@row") are not selectors.
+ */
+function getSelectorArgument(used) {
+  if (!SELECTOR_METHODS.has(used.name)) {
+    return undefined;
+  }
+  if (used.name === "contains" && used.arguments.filter((a) => a.type !== "ObjectExpression").length < 2) {
+    return undefined;  // cy.contains(content) matches text, not a selector
+  }
+  if (!["get", "contains"].includes(used.name) && !used.chain.length) {
+    return undefined;  // e.g. cy.find() is not valid, and cy.filter() is not a query
+  }
+  const selector = (used.literalArguments || {})[0];
+  return (typeof selector === "string" && !selector.startsWith("@")) ? selector : undefined;
+}
+
+module.exports = {
+  BRITTLE_RULES,
+  DEFAULT_BRITTLE_RULES,
+  parseSelector,
+  selectorKeys,
+  buildSelectorInventory,
+}
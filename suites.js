@@ -0,0 +1,220 @@
+const { SUPPORTED_HOOKS } = require('./parseUtils');
+const { createHelperResolver } = require('./helpers');
+
+/**
+ * Returns true if the given HookObj applies to the given TestObj, i.e. the hook was declared in the same file and
+ * within a describe() that encloses the test (or at the root level of the file). Titles are compared too, as
+ * describes generated in loops share the same position.
+ *
+ * Both must come from the same findCyStuff() output.
+ */
+function hookAppliesTo(hook, test) {
+  return hook.scope.length < test.scope.length && hook.scope.every((s, i) => isSameScope(s, test.scope[i]));
+}
+
+function isSameScope(a, b) {
+  return a.start === b.start && a.name === b.name;
+}
+
+/**
+ * Returns Array of HookObj (each with extra "hook" set to the hook type e.g. "beforeEach") declared at the root level
+ * of a file, i.e. not within any describe(). Such hooks in support files apply to every test in every spec.
+ */
+function findRootHooks(result) {
+  return Array.from(SUPPORTED_HOOKS).flatMap((type) => {
+    return ((result.hooks || {})[type] || []).filter((h) => !h.scope.length).map((h) => ({ hook: type, ...h }));
+  });
+}
+
+/**
+ * Returns function collectBlocks(blocks) that returns the given blocks (objects with "filename", "cyMethodsUsed" and
+ * optionally "otherFuncCalls", e.g. TestObj or HookObj) followed by the CommandAddObj of custom commands and HelperObj
+ * of helper functions they call, directly or via other commands and helpers, each once. results is an object mapping
+ * filename to findCyStuff() output (with "added" and "helpers", both with "cyMethodsUsed" and "otherFuncCalls").
+ *
+ * Each command and helper found has an extra "filename", and helpers have "helper" set to true. Helpers are only
+ * followed if "otherFuncCalls" were included.
+ */
+function createBlockCollector(results) {
+  const resolveHelper = createHelperResolver(results);
+  const commandDefinitions = new Map();
+  for (const [filename, result] of Object.entries(results)) {
+    (result.added || []).forEach((cmd) => {
+      commandDefinitions.set(cmd.name, (commandDefinitions.get(cmd.name) || []).concat({ filename, ...cmd }));
+    });
+  }
+
+  return (initial) => {
+    const blocks = initial.slice();
+    const seen = new Set(blocks.map((b) => `${b.filename}:${b.start}`));
+    // blocks is added to as we go, so this also follows commands and helpers called by those found along the way
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      const callerName = block.helper ? block.name : undefined;
+      const called = (block.cyMethodsUsed || []).flatMap((c) => commandDefinitions.get(c.name) || [])
+        .concat((block.otherFuncCalls || []).flatMap((c) => {
+          const helper = resolveHelper(block.filename, c.name, callerName);
+          return helper ? [{ ...helper, helper: true }] : [];
+        }));
+      called.filter((b) => !seen.has(`${b.filename}:${b.start}`)).forEach((b) => {
+        seen.add(`${b.filename}:${b.start}`);
+        blocks.push(b);
+      });
+    }
+    return blocks;
+  };
+}
+
+/**
+ * Returns an Array with { filename, test, hooks, blocks } for every test, given an object mapping filename to
+ * findCyStuff() output (with "added", "tests", "hooks" and "helpers", all with "cyMethodsUsed" and optionally
+ * "otherFuncCalls"), where blocks is an Array of everything that runs as part of the test, in this order: the TestObj
+ * itself, HookObj of hooks that apply to it (including global hooks in files without tests, e.g. support files), and
+ * the custom commands and helpers called by any of those (see createBlockCollector). hooks is just the hooks that
+ * apply. Each block and hook has an extra "filename".
+ */
+function buildTestContexts(results) {
+  const collectBlocks = createBlockCollector(results);
+  const globalHooks = Object.entries(results)
+    .filter(([, result]) => !(result.tests || []).length)
+    .flatMap(([filename, result]) => findRootHooks(result).map((hook) => ({ filename, ...hook })));
+
+  const contexts = [];
+  for (const [filename, result] of Object.entries(results)) {
+    const hooks = Array.from(SUPPORTED_HOOKS).flatMap((type) => (result.hooks || {})[type] || []);
+    (result.tests || []).forEach((test) => {
+      const applicable = hooks.filter((hook) => hookAppliesTo(hook, test)).map((hook) => ({ filename, ...hook }))
+        .concat(globalHooks);
+      const blocks = collectBlocks([{ filename, ...test }].concat(applicable));
+      contexts.push({ filename, test, hooks: applicable, blocks });
+    });
+  }
+  return contexts;
+}
+
+/**
+ * Returns ordered Array of steps Mocha runs for the given test, i.e. hooks that apply to it and the test body, given
+ * an object mapping filename to findCyStuff() output (with "tests" and "hooks") and the filename and TestObj of the
+ * test to explain.
+ *
+ * Hooks at the root level of files without tests (e.g. support files) run for every spec and come first, in filename
+ * order. Then hooks run in this order, each level in declaration order:
+ *  - before, from the root level of the spec down to the innermost describe (once per suite, before its first test)
+ *  - beforeEach, from the root level down to the innermost describe
+ *  - the test itself
+ *  - afterEach, from the innermost describe up to the root level
+ *  - after, from the innermost describe up to the root level (once per suite, after its last test)
+ *
+ * Each step is { step, filename, start, end, suite, level, cyMethodsUsed } where step is the hook type or "test", suite
+ * is the full title of the describe() the hook is declared in (null for the root level), and level is how deeply
+ * nested that describe() is (0 for the root level).
+ */
+function explainTest(results, filename, test) {
+  const globalHooks = Object.entries(results)
+    .filter(([, result]) => !(result.tests || []).length)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .flatMap(([f, result]) => findRootHooks(result).map((hook) => ({ filename: f, ...hook })));
+  const specHooks = Array.from(SUPPORTED_HOOKS).flatMap((type) => {
+    return ((results[filename].hooks || {})[type] || [])
+      .filter((hook) => hookAppliesTo(hook, test))
+      .map((hook) => ({ filename, hook: type, ...hook }));
+  });
+  const allHooks = globalHooks.concat(specHooks);
+
+  const toStep = (step, obj) => ({
+    step,
+    filename: obj.filename,
+    start: obj.start,
+    end: obj.end,
+    suite: obj.scope.length ? obj.scope.map((s) => s.name).join(" > ") : null,
+    level: obj.scope.length,
+    cyMethodsUsed: obj.cyMethodsUsed || [],
+  });
+  // outermost level first, keeping declaration order (and global hooks first) within each level
+  const hooksOfType = (type) => allHooks
+    .filter((hook) => hook.hook === type)
+    .sort((a, b) => a.scope.length - b.scope.length)
+    .map((hook) => toStep(type, hook));
+  const reversedLevels = (steps) => steps.sort((a, b) => b.level - a.level);
+
+  return [
+    ...hooksOfType("before"),
+    ...hooksOfType("beforeEach"),
+    toStep("test", { filename, ...test, scope: test.scope.slice(0, -1) }),
+    ...reversedLevels(hooksOfType("afterEach")),
+    ...reversedLevels(hooksOfType("after")),
+  ];
+}
+
+/**
+ * Rebuilds the nested suite hierarchy of a file from its findCyStuff() output (with "tests" and "hooks"), where each
+ * test and hook only carries its own flat scope.
+ *
+ * Returns the root level of the file as { hooks, suites, tests }, where:
+ *  - hooks: Array of { hook, start, end } for hooks declared directly at that level, e.g. { hook: "beforeEach", ... }
+ *  - suites: Array of ScopeObj for describe()s declared directly at that level, each with its own hooks, suites and
+ *            tests
+ *  - tests: Array of ScopeObj for tests declared directly at that level, each with "title" (full title), "tags",
+ *           "skip"/"only" set to the effective values from the TestObj, and "dataDriven" if it is generated in a loop
+ *
+ * If filter is given, only tests for which filter(test) returns true are included, and suites without any included
+ * tests are dropped.
+ */
+function buildSuiteTree(result, filter) {
+  const root = { hooks: [], suites: [], tests: [] };
+  const suites = new Map();
+
+  const getLevel = (scope, create) => {
+    let level = root;
+    for (let i = 0; i < scope.length; i++) {
+      // describes generated in loops share the same position, so key by the titles of every enclosing level too
+      const key = JSON.stringify(scope.slice(0, i + 1).map((s) => [s.start, s.name]));
+      if (!suites.has(key)) {
+        if (!create) {
+          return null;
+        }
+        suites.set(key, { ...scope[i], hooks: [], suites: [], tests: [] });
+        level.suites.push(suites.get(key));
+      }
+      level = suites.get(key);
+    }
+    return level;
+  };
+
+  (result.tests || []).filter((test) => !filter || filter(test)).forEach((test) => {
+    const { skip, only, ...own } = test.scope.at(-1);
+    getLevel(test.scope.slice(0, -1), true).tests.push({
+      ...own,
+      title: test.scope.map((s) => s.name).join(" > "),
+      tags: test.tags || [],
+      ...(test.skip && { skip: true }),
+      ...(test.only && { only: true }),
+      ...(test.dataDriven && { dataDriven: test.dataDriven }),
+    });
+  });
+
+  Array.from(SUPPORTED_HOOKS).forEach((type) => {
+    ((result.hooks || {})[type] || []).forEach((hook) => {
+      const level = getLevel(hook.scope, !filter);
+      if (level) {
+        level.hooks.push({ hook: type, start: hook.start, end: hook.end });
+      }
+    });
+  });
+
+  const sortLevel = (level) => {
+    ["hooks", "suites", "tests"].forEach((key) => level[key].sort((a, b) => a.start - b.start));
+    level.suites.forEach(sortLevel);
+  };
+  sortLevel(root);
+  return root;
+}
+
+module.exports = {
+  hookAppliesTo,
+  findRootHooks,
+  buildSuiteTree,
+  explainTest,
+  createBlockCollector,
+  buildTestContexts,
+}
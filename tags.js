@@ -0,0 +1,86 @@
+const { testTitle } = require('./graph');
+
+/**
+ * Parses a tag expression as accepted by @cypress/grep's "grepTags", returning an Array of OR parts where each part is
+ * an Array of { tag, invert } that must all match. For example:
+ *  - "@smoke @login" or "@smoke,@login": either tag
+ *  - "@smoke+@login": both tags
+ *  - "@smoke+-@slow": @smoke but not @slow
+ *  - "--@slow": not @slow, applied to every other part
+ */
+function parseGrepTags(expression) {
+  if (!expression) {
+    return [];
+  }
+  const explicitNotTags = [];
+  const ors = expression.split(/[ ,]/).filter(Boolean).flatMap((part) => {
+    if (part.startsWith("--")) {
+      explicitNotTags.push({ tag: part.slice(2), invert: true });
+      return [];
+    }
+    return [part.split("+").filter(Boolean).map((tag) => {
+      return tag.startsWith("-") ? { tag: tag.slice(1), invert: true } : { tag, invert: false };
+    })];
+  });
+
+  if (explicitNotTags.length) {
+    return ors.length ? ors.map((and) => and.concat(explicitNotTags)) : [explicitNotTags];
+  }
+  return ors;
+}
+
+/**
+ * Returns true if a test with the given tags would run with the given parsed tag expression (see parseGrepTags)
+ */
+function matchesGrepTags(parsed, tags = []) {
+  if (!parsed.length) {
+    return true;
+  }
+  return parsed.some((and) => and.every(({ tag, invert }) => tags.includes(tag) !== invert));
+}
+
+/**
+ * Lists tests and their tags (including tags inherited from enclosing describes), given an object mapping filename to
+ * findCyStuff() output (with "tests").
+ *
+ * If grepTags is given, only tests matching it are included. If filter is given, only tests for which filter(test)
+ * returns true are included. Returns:
+ *  - tests: Array of { filename, id, title, start, tags, skip?, only?, dataDriven? }
+ *  - specs: Array of filenames with matching tests
+ *  - untaggedSpecs: Array of filenames with tests, none of which have tags (regardless of grepTags)
+ */
+function buildTagInventory(results, { grepTags, filter = () => true } = {}) {
+  const parsed = parseGrepTags(grepTags);
+  const tests = [];
+  const untaggedSpecs = [];
+  for (const [filename, result] of Object.entries(results)) {
+    const fileTests = result.tests || [];
+    if (fileTests.length && !fileTests.some((test) => (test.tags || []).length)) {
+      untaggedSpecs.push(filename);
+    }
+    fileTests.filter((test) => matchesGrepTags(parsed, test.tags) && filter(test)).forEach((test) => {
+      tests.push({
+        filename,
+        id: test.id,
+        title: testTitle(test),
+        start: test.start,
+        tags: test.tags || [],
+        ...(test.skip && { skip: true }),
+        ...(test.only && { only: true }),
+        ...(test.dataDriven && { dataDriven: test.dataDriven }),
+      });
+    });
+  }
+
+  return {
+    tests,
+    specs: Array.from(new Set(tests.map((t) => t.filename))).sort(),
+    untaggedSpecs: untaggedSpecs.sort(),
+  };
+}
+
+module.exports = {
+  parseGrepTags,
+  matchesGrepTags,
+  buildTagInventory,
+}
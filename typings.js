@@ -0,0 +1,88 @@
+const { isValidCommandName } = require('./rename');
+
+const HEADER = `// Generated by scryo from Cypress.Commands.add(...) definitions. Do not edit by hand, run "scryo typings" instead.`;
+const INDENT = "    ";
+
+/**
+ * Returns content of a TypeScript declaration file declaring all the given commands as members of Cypress.Chainable.
+ *
+ * commands should be an Array of CommandAddObj, each with an extra "filename", and sources should map each of those
+ * filenames to the file content so TypeScript type annotations can be carried over as-is. Commands are sorted by name,
+ * and for commands added more than once, only the first definition is used.
+ */
+function generateTypings(commands, sources) {
+  const seen = new Set();
+  const members = [];
+  [...commands].sort((a, b) => a.name.localeCompare(b.name)).forEach((cmd) => {
+    if (!seen.has(cmd.name)) {
+      seen.add(cmd.name);
+      members.push(renderMember(cmd, sources[cmd.filename]));
+    }
+  });
+
+  return [
+    HEADER,
+    "",
+    "declare namespace Cypress {",
+    "  interface Chainable<Subject = any> {",
+    members.join("\n\n"),
+    "  }",
+    "}",
+    "",
+  ].join("\n");
+}
+
+function renderMember(cmd, source) {
+  // when prevSubject is set, the first param is the subject yielded by the previous command so is not passed in
+  const params = (cmd.params || []).slice(cmd.prevSubject ? 1 : 0);
+
+  const docLines = cmd.comment ? cmd.comment.split("\n") : [];
+  if (cmd.prevSubject) {
+    docLines.length && docLines.push("");
+    docLines.push(`@prevSubject ${[].concat(cmd.prevSubject).join(" | ")}`);
+  }
+
+  const signature = params.map((param, i) => {
+    const name = param.name || `arg${i}`;
+    const type = (param.typeStart !== undefined) ? source.slice(param.typeStart, param.typeEnd) : inferType(param);
+    if (param.rest) {
+      return `...${name}: ${type}`;
+    }
+    // a required param cannot follow an optional one, so only mark as optional if everything after it is too
+    const optional = params.slice(i).every((p) => p.optional || p.rest);
+    // defaults cannot be expressed in a declaration, so keep them as a comment
+    const defaultComment = (param.defaultStart !== undefined)
+      ? ` /* = ${source.slice(param.defaultStart, param.defaultEnd)} */`
+      : "";
+    return `${name}${optional ? "?" : ""}: ${type}${defaultComment}`;
+  }).join(", ");
+
+  return [
+    ...(docLines.length ? [
+      `${INDENT}/**`,
+      ...docLines.map((line) => `${INDENT} *${line ? " " + line : ""}`),
+      `${INDENT} */`,
+    ] : []),
+    `${INDENT}${isValidCommandName(cmd.name) ? cmd.name : JSON.stringify(cmd.name)}(${signature}): Chainable<any>;`,
+  ].join("\n");
+}
+
+function inferType(param) {
+  if (param.rest) {
+    return "any[]";
+  }
+  switch (typeof param.default) {
+    case "string":
+      return "string";
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    default:
+      return "any";
+  }
+}
+
+module.exports = {
+  generateTypings,
+}
@@ -1,5 +1,6 @@
 const fs = require("fs");
 const assert = require('assert').strict;
+const { createTwoFilesPatch } = require("diff");
 
 /**
  * Given filename and char offset, synchronously reads file content then returns {line: X, col: Y} where X and Y are
@@ -72,7 +73,35 @@ function interleaveArray(a, b) {
   return out;
 }
 
+/**
+ * Returns source with all edits applied, where each edit is {start: X, end: Y, text: Z} and means "replace chars from
+ * offset X up to (but excluding) offset Y with Z".
+ *
+ * Edits must not overlap. They can be given in any order.
+ */
+function applyEdits(source, edits) {
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  let output = source;
+  let lastStart = Infinity;
+  for (const edit of sorted) {
+    assert(edit.end <= lastStart, "edits must not overlap");
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    lastStart = edit.start;
+  }
+  return output;
+}
+
+/**
+ * Returns unified diff (as String) between the before and after content of the given filename
+ */
+function unifiedDiff(filename, before, after) {
+  return createTwoFilesPatch(`a/${filename}`, `b/${filename}`, before, after, undefined, undefined, { context: 3 })
+    .replace(/^=+\n/, "");  // drop the "=====" separator line that createTwoFilesPatch adds at the top
+}
+
 module.exports = {
+  applyEdits,
   interleaveArray,
   mapCharOffsetToLineno,
+  unifiedDiff,
 }
\ No newline at end of file